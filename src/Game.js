@@ -4,11 +4,15 @@
  */
 
 import { GameState } from './models/GameState.js';
-import { LeadSource, LeadPool } from './models/Lead.js';
+import { LeadSource, LeadPool, RoutingStrategy } from './models/Lead.js';
 import { Dialer, DialerManager } from './models/Dialer.js';
 import { SimulationEngine } from './simulation/SimulationEngine.js';
+import { EventManager } from './simulation/EventManager.js';
 import { UpgradeManager } from './economy/UpgradeManager.js';
+import { findUnknownEffectTypes } from './economy/UpgradeEffects.js';
+import { LeadMarketplace } from './economy/LeadMarketplace.js';
 import { SaveManager } from './persistence/SaveManager.js';
+import { importLeadsFromCsv, exportLeadsToCsv } from './persistence/LeadCsv.js';
 import { SeededRNG } from './simulation/SeededRNG.js';
 
 export class Game {
@@ -16,6 +20,7 @@ export class Game {
         this.state = null;
         this.engine = null;
         this.upgradeManager = null;
+        this.marketplace = null;
         this.saveManager = null;
         this.configs = {};
         this.isRunning = false;
@@ -38,6 +43,10 @@ export class Game {
             upgrades: upgrades.upgrades,
             events: events.events
         };
+
+        for (const { upgradeId, type } of findUnknownEffectTypes(this.configs.upgrades)) {
+            console.warn(`Upgrade "${upgradeId}" has unknown effect type "${type}"; it will have no effect`);
+        }
     }
 
     async init() {
@@ -54,8 +63,9 @@ export class Game {
         }
 
         this.engine = new SimulationEngine(this.state, this.configs);
-        this.upgradeManager = new UpgradeManager(this.state, this.configs.upgrades);
+        this.upgradeManager = new UpgradeManager(this.state, this.configs.upgrades, this.configs.defaults.agent);
         this.upgradeManager.recalculateEffects();
+        this.marketplace = new LeadMarketplace(this.state, this.configs.defaults.marketplace);
 
         return this;
     }
@@ -79,11 +89,21 @@ export class Game {
             () => rng.random()
         );
 
-        // Add starting leads
-        this.state.leadPool.generateLeads('standard_leads', 50, () => rng.random());
+        // Add starting leads, already scrubbed so a new floor isn't fined before it can buy the national list
+        this.state.leadPool.generateLeads('standard_leads', 50, () => rng.random(), { onNationalDnc: false });
+
+        // Add starting caller ID numbers
+        const callerId = this.configs.defaults.callerId || {};
+        for (let i = 0; i < (callerId.startingNumbers ?? 1); i++) {
+            this.state.callerIds.addNumber('eastern', () => rng.random(), { reputation: callerId.startingReputation });
+        }
+
+        // Starting telephony channels
+        this.state.setTrunkChannels(this.configs.defaults.telephony?.startingChannels ?? 1);
 
-        // Set starting cash
+        // Set starting cash and shift
         this.state.cash = this.configs.defaults.game.startingCash;
+        this.state.setShift(this.configs.defaults.game.workdayStartHour, this.configs.defaults.game.workdayEndHour);
     }
 
     start() {
@@ -130,6 +150,40 @@ export class Game {
         return this.engine.getMetricsSummary();
     }
 
+    getActiveEvents() {
+        return this.state.activeEvents;
+    }
+
+    // Event decisions
+    getPendingDecisions() {
+        return this.state.pendingDecisions;
+    }
+
+    chooseDecision(decisionId, choiceIndex) {
+        return this.engine.events.resolveDecision(decisionId, choiceIndex);
+    }
+
+    // Financial reports
+    getDailyPnL(day = this.state.gameTime.day) {
+        return this.state.ledger.getDailyPnL(day);
+    }
+
+    getLifetimePnL() {
+        return this.state.ledger.getLifetimePnL();
+    }
+
+    getCashFlow(day = this.state.gameTime.day) {
+        return this.state.ledger.getCashFlow(day);
+    }
+
+    getLifetimeCashFlow() {
+        return this.state.ledger.getLifetimeCashFlow();
+    }
+
+    getTransactions(filter = {}) {
+        return this.state.ledger.getTransactions(filter);
+    }
+
     // Upgrade actions
     purchaseUpgrade(upgradeId) {
         return this.upgradeManager.purchase(upgradeId, () => this.engine.rng.random());
@@ -143,22 +197,180 @@ export class Game {
         return this.upgradeManager.getAllUpgrades();
     }
 
+    // Lead marketplace
+    quoteLeads(sourceId, quantity) {
+        return this.marketplace.quote(sourceId, quantity);
+    }
+
+    buyLeads(sourceId, quantity) {
+        return this.marketplace.buy(sourceId, quantity, () => this.engine.rng.random());
+    }
+
+    getLeadListings() {
+        return this.marketplace.getListings();
+    }
+
+    // Lead lists
+    /**
+     * Import a lead list, scrubbed against the DNC lists the floor holds
+     * @param {string} text - CSV with a header row
+     * @returns {Object} { leads, errors, scrubbed } - leads kept, row errors, and leads removed by scrubbing
+     */
+    importLeadsCsv(text) {
+        const { leads, errors } = importLeadsFromCsv(this.state.leadPool, text, () => this.engine.rng.random());
+        const scrubbed = this.state.scrubLeads(leads);
+        return { leads: leads.filter(lead => !scrubbed.includes(lead)), errors, scrubbed };
+    }
+
+    exportLeadsCsv() {
+        return exportLeadsToCsv(this.state.leadPool);
+    }
+
+    // Lead routing
+    setRoutingStrategy(strategy) {
+        return this.state.setRoutingStrategy(strategy);
+    }
+
+    /**
+     * @returns {Object[]} Items of { id, active, available }
+     */
+    getRoutingStrategies() {
+        return Object.values(RoutingStrategy).map(id => ({
+            id,
+            active: this.state.leadPool.routingStrategy === id,
+            available: id !== RoutingStrategy.LEARNED_EV || this.state.hasLeadScoring()
+        }));
+    }
+
+    getLeadScoringSummary() {
+        return this.state.leadScoring.getSourceSummary();
+    }
+
+    // Lead source actions
+    unlockLeadSource(sourceId) {
+        const source = this.state.leadPool.sources.get(sourceId);
+        if (!source || !this.state.leadPool.canUnlockSource(sourceId)) return false;
+        if (this.state.cash < source.unlockCost) return false;
+
+        this.state.adjustCash(-source.unlockCost, 'lead_source_unlock', sourceId);
+        return this.state.leadPool.unlockSource(sourceId);
+    }
+
+    getLeadSources() {
+        return this.state.leadPool.getAllSources();
+    }
+
+    // Compliance actions
+    buyNationalDncList() {
+        if (this.state.dnc.hasNationalList) return false;
+
+        const cost = this.configs.defaults.compliance?.nationalDncListCost ?? 0;
+        if (this.state.cash < cost) return false;
+
+        this.state.adjustCash(-cost, 'dnc_list', 'national');
+        this.state.dnc.hasNationalList = true;
+        return true;
+    }
+
+    /**
+     * @param {string|null} type - 'dnc', 'calling_hours' or null for all
+     * @returns {Object[]}
+     */
+    getViolations(type = null) {
+        return type ? this.state.violations.filter(v => v.type === type) : this.state.violations;
+    }
+
+    // Caller ID actions
+    /**
+     * Buy a number with an area code in a time zone
+     * @param {string} timeZone - Key of TIME_ZONES
+     * @returns {CallerIdNumber|null}
+     */
+    buyCallerId(timeZone) {
+        const settings = this.configs.defaults.callerId || {};
+        const cost = settings.numberSetupCost ?? 0;
+        if (this.state.cash < cost) return null;
+
+        const number = this.state.callerIds.addNumber(timeZone, () => this.engine.rng.random(), {
+            reputation: settings.startingReputation,
+            day: this.state.gameTime.day
+        });
+        if (!number) return null;
+
+        this.state.adjustCash(-cost, 'caller_id_numbers', number.id);
+        return number;
+    }
+
+    /**
+     * Add channels to the trunk. They are billed daily with operating costs.
+     * @param {number} count
+     * @returns {boolean}
+     */
+    buyTrunkChannels(count = 1) {
+        return this.state.setTrunkChannels((this.state.trunkChannels ?? 0) + count);
+    }
+
+    /**
+     * Give back channels; the trunk keeps at least one
+     * @param {number} count
+     * @returns {boolean}
+     */
+    releaseTrunkChannels(count = 1) {
+        return this.state.setTrunkChannels((this.state.trunkChannels ?? 0) - count);
+    }
+
+    retireCallerId(numberId) {
+        return this.state.callerIds.retire(numberId);
+    }
+
+    getCallerIds() {
+        return this.state.callerIds.getAll();
+    }
+
+    // Shift actions
+    setShift(shiftId) {
+        const shift = this.configs.defaults.game.shifts?.[shiftId];
+        if (!shift) return false;
+        return this.state.setShift(shift.startHour, shift.endHour);
+    }
+
+    getShifts() {
+        return this.configs.defaults.game.shifts || {};
+    }
+
     // Dialer actions
     unlockDialer(dialerId) {
         const dialer = this.state.dialerManager.dialers.get(dialerId);
         if (!dialer) return false;
 
         if (this.state.cash >= dialer.unlockCost) {
-            this.state.adjustCash(-dialer.unlockCost);
+            this.state.adjustCash(-dialer.unlockCost, 'dialer_unlock', dialerId);
             return this.state.dialerManager.unlockDialer(dialerId);
         }
         return false;
     }
 
+    /**
+     * Switch dialers. Paced dialers are off limits after a forced downgrade
+     * until the rolling abandonment rate is back under the cap.
+     * @param {string} dialerId
+     * @returns {boolean}
+     */
     setDialer(dialerId) {
+        const dialer = this.state.dialerManager.dialers.get(dialerId);
+        if (dialer?.isPaced() && this.state.abandonment.pacedDialersSuspended) return false;
         return this.state.dialerManager.setActiveDialer(dialerId);
     }
 
+    /**
+     * @param {string} dialerId
+     * @param {number} aggressiveness - 0 (AMD off) to 1
+     * @returns {boolean}
+     */
+    setAmdAggressiveness(dialerId, aggressiveness) {
+        return this.state.dialerManager.dialers.get(dialerId)?.setAmdAggressiveness(aggressiveness) ?? false;
+    }
+
     getDialers() {
         return this.state.dialerManager.getAllDialers();
     }
@@ -171,7 +383,7 @@ export class Game {
         const cost = this.configs.defaults.training.sessionCost;
         if (this.state.cash < cost) return false;
 
-        this.state.adjustCash(-cost);
+        this.state.adjustCash(-cost, 'training', agentId);
         agent.startTraining(skill, this.configs.defaults.training.sessionDurationMinutes * 60);
         return true;
     }
@@ -184,9 +396,10 @@ export class Game {
         this.saveManager = new SaveManager(this.state);
         this.setupNewGame();
         this.engine = new SimulationEngine(this.state, this.configs);
-        this.upgradeManager = new UpgradeManager(this.state, this.configs.upgrades);
+        this.upgradeManager = new UpgradeManager(this.state, this.configs.upgrades, this.configs.defaults.agent);
+        this.marketplace = new LeadMarketplace(this.state, this.configs.defaults.marketplace);
     }
 }
 
 // Export for use in browser
-export { GameState, SimulationEngine, UpgradeManager, SaveManager, SeededRNG };
+export { GameState, SimulationEngine, EventManager, UpgradeManager, LeadMarketplace, SaveManager, SeededRNG };
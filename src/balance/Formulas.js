@@ -26,6 +26,25 @@ export function lerp(a, b, t) {
     return a + (b - a) * clamp(t, 0, 1);
 }
 
+/**
+ * Pick a key from an object of relative weights
+ * @param {Object<string, number>} weights - key -> non-negative weight
+ * @param {function} randomFn - Returns a number in [0, 1)
+ * @returns {string|null}
+ */
+export function pickWeighted(weights, randomFn = Math.random) {
+    const entries = Object.entries(weights).filter(([, w]) => w > 0);
+    const total = entries.reduce((sum, [, w]) => sum + w, 0);
+    if (total === 0) return null;
+
+    let roll = randomFn() * total;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
 // ============================================
 // ANSWER PROBABILITY FORMULAS
 // ============================================
@@ -122,6 +141,8 @@ export function calculateAgentConversionMultiplier(agent) {
  * @param {number} params.dialerQAMultiplier - Dialer's QA assist multiplier
  * @param {number} params.leadRoutingBonus - Bonus from CRM/lead routing (0-1)
  * @param {number} params.morale - Agent morale (0-1)
+ * @param {number} params.eventMultiplier - Combined multiplier from active events
+ * @param {number} params.previewMultiplier - Lift from previewing the lead (see calculatePreviewMultiplier)
  * @returns {number} Probability of conversion (0-0.80)
  */
 export function calculateConversionProbability({
@@ -130,7 +151,9 @@ export function calculateConversionProbability({
     fatigue = 0,
     dialerQAMultiplier = 1.0,
     leadRoutingBonus = 0,
-    morale = 0.5
+    morale = 0.5,
+    eventMultiplier = 1.0,
+    previewMultiplier = 1.0
 }) {
     // Fatigue penalty: exponential impact at high fatigue
     const fatiguePenalty = calculateFatiguePenalty(fatigue);
@@ -146,12 +169,26 @@ export function calculateConversionProbability({
         * (1 - fatiguePenalty)
         * dialerQAMultiplier
         * moraleFactor
-        * routingFactor;
+        * routingFactor
+        * eventMultiplier
+        * previewMultiplier;
 
     // Cap at 80% - even the best agent can't close everyone
     return clamp(probability, 0, 0.80);
 }
 
+/**
+ * Conversion lift from an agent reading the lead's record before the dial.
+ * Only leads with above-average intent have anything worth preparing for.
+ *
+ * @param {number} leadIntent - Lead's intent multiplier
+ * @param {number} conversionBoost - Lift per point of intent above 1
+ * @returns {number} Multiplier on conversion probability
+ */
+export function calculatePreviewMultiplier(leadIntent = 1, conversionBoost = 0) {
+    return 1 + conversionBoost * Math.max(0, leadIntent - 1);
+}
+
 // ============================================
 // FATIGUE FORMULAS
 // ============================================
@@ -262,6 +299,10 @@ export function calculateWrapUpTime({
  * @param {number} params.volumeThreshold - Normal dial volume threshold
  * @param {number} params.dialerSpamMultiplier - Dialer's spam risk multiplier
  * @param {number} params.spamReduction - Reduction from number pool upgrades (0-1)
+ * @param {number} params.eventSpamMultiplier - Combined multiplier from active events
+ * @param {number} params.repeatDialShare - Share of today's dials that redialed a lead already dialed today (0-1)
+ * @param {number} params.overDialWeight - Spam increase at 100% repeat dials
+ * @param {boolean} params.spamTagged - Caller ID already tagged by carriers
  * @returns {number} Probability of spam tagging (0-1)
  */
 export function calculateSpamTagProbability({
@@ -269,8 +310,15 @@ export function calculateSpamTagProbability({
     dialVolume = 0,
     volumeThreshold = 200,
     dialerSpamMultiplier = 1.0,
-    spamReduction = 0
+    spamReduction = 0,
+    eventSpamMultiplier = 1.0,
+    repeatDialShare = 0,
+    overDialWeight = 2,
+    spamTagged = false
 }) {
+    // A tagged number shows as spam on every call
+    if (spamTagged) return 0.8;
+
     // Base spam probability inversely related to reputation
     const baseSpam = Math.max(0, (100 - reputation) / 200); // 0-0.5 range
 
@@ -278,8 +326,12 @@ export function calculateSpamTagProbability({
     const volumeRatio = dialVolume / Math.max(volumeThreshold, 1);
     const volumeFactor = volumeRatio > 1.5 ? 1 + (volumeRatio - 1.5) * 0.5 : 1;
 
+    // Hammering the same numbers gets them reported
+    const overDialFactor = 1 + clamp(repeatDialShare, 0, 1) * overDialWeight;
+
     // Apply modifiers
-    const probability = baseSpam * dialerSpamMultiplier * volumeFactor * (1 - spamReduction);
+    const probability = baseSpam * dialerSpamMultiplier * volumeFactor * overDialFactor *
+        (1 - spamReduction) * eventSpamMultiplier;
 
     return clamp(probability, 0, 0.8);
 }
@@ -326,6 +378,20 @@ export function calculateReputationChange({
     return netChange;
 }
 
+/**
+ * Overnight reputation recovery toward the baseline
+ * Only recovers lost reputation; never pushes above the baseline
+ * 
+ * @param {number} reputation - Current reputation (0-100)
+ * @param {number} recoveryRate - Fraction of the gap recovered per day (from upgrades)
+ * @param {number} baseline - Reputation a quiet floor settles back to
+ * @returns {number} Reputation to add
+ */
+export function calculateReputationRecovery(reputation, recoveryRate = 0, baseline = 75) {
+    if (reputation >= baseline) return 0;
+    return (baseline - reputation) * clamp(recoveryRate, 0, 1);
+}
+
 // ============================================
 // ECONOMY FORMULAS
 // ============================================
@@ -354,6 +420,50 @@ export function calculateDailyWage(hourlyWage, hoursPerDay = 8) {
     return hourlyWage * hoursPerDay;
 }
 
+/**
+ * Price an order of leads from a source's daily inventory
+ * 
+ * Volume discount: the best tier whose minQuantity the order reaches.
+ * Surge: once the order would drain the source past surgeThreshold of its
+ * daily supply, every lead in it costs proportionally more.
+ * 
+ * @param {Object} params
+ * @param {number} params.costPerLead - Source's list price
+ * @param {number} params.quantity - Leads ordered
+ * @param {number} params.inventory - Leads the source has in stock
+ * @param {number} params.supplyPerDay - Source's daily supply
+ * @param {Object[]} params.volumeDiscounts - Tiers of { minQuantity, discount }
+ * @param {number} params.surgeThreshold - Share of daily supply drained before surge starts (0-1)
+ * @param {number} params.surgeRate - Price increase per unit of utilization past the threshold
+ * @returns {Object} { unitPrice, discount, surgeMultiplier, total }
+ */
+export function calculateLeadOrderPrice({
+    costPerLead,
+    quantity,
+    inventory,
+    supplyPerDay,
+    volumeDiscounts = [],
+    surgeThreshold = 0.6,
+    surgeRate = 1.0
+}) {
+    const discount = volumeDiscounts
+        .filter(tier => quantity >= tier.minQuantity)
+        .reduce((best, tier) => Math.max(best, tier.discount), 0);
+
+    // How much of a day's supply is gone once this order is filled
+    const utilization = clamp(1 - (inventory - quantity) / Math.max(supplyPerDay, 1), 0, 1);
+    const surgeMultiplier = 1 + Math.max(0, utilization - surgeThreshold) * surgeRate;
+
+    const unitPrice = costPerLead * (1 - discount) * surgeMultiplier;
+
+    return {
+        unitPrice,
+        discount,
+        surgeMultiplier,
+        total: Math.round(unitPrice * quantity * 100) / 100
+    };
+}
+
 /**
  * Calculate revenue from a successful conversion
  * 
@@ -361,14 +471,16 @@ export function calculateDailyWage(hourlyWage, hoursPerDay = 8) {
  * @param {number} params.baseRevenue - Base revenue per conversion
  * @param {number} params.leadQualityMultiplier - Lead source quality factor
  * @param {number} params.upgradeBonuses - Revenue bonuses from upgrades
+ * @param {number} params.eventMultiplier - Combined multiplier from active events
  * @returns {number} Revenue amount
  */
 export function calculateConversionRevenue({
     baseRevenue = 120,
     leadQualityMultiplier = 1.0,
-    upgradeBonuses = 0
+    upgradeBonuses = 0,
+    eventMultiplier = 1.0
 }) {
-    return Math.round(baseRevenue * leadQualityMultiplier * (1 + upgradeBonuses));
+    return Math.round(baseRevenue * leadQualityMultiplier * (1 + upgradeBonuses) * eventMultiplier);
 }
 
 // ============================================
@@ -422,6 +534,74 @@ export function calculateNewSkillLevel(currentLevel, xpGained, xpRequired) {
     return clamp(currentLevel + (steps * stepSize), 0, 1);
 }
 
+/**
+ * Calculate how long a new hire ramps up before reaching full skill
+ * 
+ * @param {number} baseRampMinutes - Ramp time without onboarding upgrades
+ * @param {number} onboardingSpeed - Bonus from upgrades (0-1)
+ * @returns {number} Ramp time in work minutes
+ */
+export function calculateOnboardingMinutes(baseRampMinutes, onboardingSpeed = 0) {
+    return Math.round(baseRampMinutes * Math.max(0, 1 - onboardingSpeed));
+}
+
+// ============================================
+// DIALER PACING
+// ============================================
+
+/**
+ * Lines a paced dialer should launch so that, at the observed answer rate,
+ * each agent free when the lines connect gets occupancyTarget connects on
+ * average. The higher the target, the more often connects outnumber free
+ * agents and are abandoned.
+ *
+ * @param {Object} params
+ * @param {number} params.predictedFreeAgents - Agents expected free when new lines connect
+ * @param {number} params.answerRate - Observed share of lines a person answers (0-1)
+ * @param {number} params.occupancyTarget - Dialer's agent occupancy target (0-1)
+ * @param {number} params.linesInFlight - Lines already ringing
+ * @param {number} params.maxLinesPerAgent - Most lines ringing per free agent
+ * @param {number} params.minAnswerRate - Floor on the answer rate so a cold start can't flood the lines
+ * @returns {number} Lines to launch
+ */
+export function calculatePacedLines({
+    predictedFreeAgents,
+    answerRate,
+    occupancyTarget,
+    linesInFlight = 0,
+    maxLinesPerAgent = 3,
+    minAnswerRate = 0.05
+}) {
+    if (predictedFreeAgents <= 0) return 0;
+
+    const linesPerAgent = Math.min(occupancyTarget / Math.max(answerRate, minAnswerRate), maxLinesPerAgent);
+    return Math.max(0, Math.round(predictedFreeAgents * linesPerAgent) - linesInFlight);
+}
+
+// ============================================
+// ANSWERING-MACHINE DETECTION
+// ============================================
+
+/**
+ * How often AMD catches a machine and how often it mistakes a person for one.
+ * At the default aggressiveness (0.5) the dialer hits its rated accuracy and
+ * false-positive rate. Turning it up catches more machines but hangs up on
+ * more people; at 0 AMD is off.
+ *
+ * @param {Object} params
+ * @param {number} params.accuracy - Share of machines caught at default aggressiveness (0-1)
+ * @param {number} params.falsePositiveRate - Share of people taken for machines at default aggressiveness (0-1)
+ * @param {number} params.aggressiveness - Player setting (0-1)
+ * @returns {Object} { detectRate, falsePositiveRate }
+ */
+export function calculateAmdRates({ accuracy, falsePositiveRate = 0, aggressiveness = 0.5 }) {
+    const scale = clamp(aggressiveness, 0, 1) / 0.5;
+    return {
+        detectRate: 1 - Math.pow(1 - clamp(accuracy, 0, 1), scale),
+        falsePositiveRate: clamp(falsePositiveRate * scale * scale, 0, 1)
+    };
+}
+
 // ============================================
 // AGGREGATE SIMULATION FORMULAS (for fast-forward)
 // ============================================
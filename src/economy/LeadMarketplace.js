@@ -0,0 +1,99 @@
+/**
+ * Lead Marketplace
+ * Quotes and sells leads from unlocked sources out of their daily inventory.
+ */
+
+import * as Formulas from '../balance/Formulas.js';
+
+export class LeadMarketplace {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} settings - defaults.marketplace
+     */
+    constructor(gameState, settings = {}) {
+        this.state = gameState;
+        this.volumeDiscounts = settings.volumeDiscounts || [];
+        this.surgeThreshold = settings.surgeThreshold ?? 0.6;
+        this.surgeRate = settings.surgeRate ?? 1.0;
+    }
+
+    /**
+     * Price an order without buying it
+     * @param {string} sourceId
+     * @param {number} quantity
+     * @returns {Object} Quote with total, unit price, discount, surge and whether it can be filled
+     */
+    quote(sourceId, quantity) {
+        const source = this.state.leadPool.sources.get(sourceId);
+        if (!source) {
+            return { sourceId, quantity, available: false, reason: 'unknown_source' };
+        }
+
+        const pricing = Formulas.calculateLeadOrderPrice({
+            costPerLead: source.costPerLead,
+            quantity,
+            inventory: source.inventory,
+            supplyPerDay: source.supplyPerDay,
+            volumeDiscounts: this.volumeDiscounts,
+            surgeThreshold: this.surgeThreshold,
+            surgeRate: this.surgeRate
+        });
+
+        let reason = null;
+        if (!source.unlocked) reason = 'locked';
+        else if (!Number.isInteger(quantity) || quantity <= 0) reason = 'invalid_quantity';
+        else if (quantity > source.inventory) reason = 'insufficient_inventory';
+        else if (pricing.total > this.state.cash) reason = 'insufficient_cash';
+
+        return {
+            sourceId,
+            quantity,
+            inventory: source.inventory,
+            listPrice: source.costPerLead,
+            ...pricing,
+            available: reason === null,
+            reason
+        };
+    }
+
+    /**
+     * Buy leads from a source at the quoted price
+     * @param {string} sourceId
+     * @param {number} quantity
+     * @param {function} randomFn
+     * @returns {Object} { success, quote, leads, scrubbed } - scrubbed leads are paid for but never enter the pool
+     */
+    buy(sourceId, quantity, randomFn = Math.random) {
+        const quote = this.quote(sourceId, quantity);
+        if (!quote.available) {
+            return { success: false, quote, leads: [], scrubbed: [] };
+        }
+
+        const source = this.state.leadPool.sources.get(sourceId);
+        this.state.adjustCash(-quote.total, 'leads', sourceId);
+        source.inventory -= quantity;
+
+        const generated = this.state.leadPool.generateLeads(sourceId, quantity, randomFn);
+        const scrubbed = this.state.scrubLeads(generated);
+        const leads = generated.filter(lead => !scrubbed.includes(lead));
+        return { success: true, quote, leads, scrubbed };
+    }
+
+    /**
+     * Unlocked sources with their stock and list price, for a market panel
+     * @returns {Object[]}
+     */
+    getListings() {
+        return this.state.leadPool.getUnlockedSources()
+            .sort((a, b) => a.tier - b.tier)
+            .map(source => ({
+                sourceId: source.id,
+                name: source.name,
+                description: source.description,
+                tier: source.tier,
+                costPerLead: source.costPerLead,
+                inventory: source.inventory,
+                supplyPerDay: source.supplyPerDay
+            }));
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Ledger
+ * Records every cash movement with a category, source and game timestamp,
+ * and builds daily / lifetime P&L and cash-flow reports from them.
+ */
+
+/**
+ * Ledger categories and how each is reported.
+ * kind: 'revenue' (income), 'opex' (operating expense) or 'capex' (investment)
+ * @enum {Object}
+ */
+export const LEDGER_CATEGORIES = {
+    sales: { label: 'Sales', kind: 'revenue' },
+    event_income: { label: 'Event Rewards', kind: 'revenue' },
+    wages: { label: 'Wages', kind: 'opex' },
+    dialer_license: { label: 'Dialer Licenses', kind: 'opex' },
+    leads: { label: 'Lead Purchases', kind: 'opex' },
+    hiring: { label: 'Recruiting', kind: 'opex' },
+    training: { label: 'Training', kind: 'opex' },
+    event_expense: { label: 'Event Costs', kind: 'opex' },
+    compliance_fines: { label: 'Compliance Fines', kind: 'opex' },
+    caller_id_rent: { label: 'Caller ID Rent', kind: 'opex' },
+    trunk_channels: { label: 'Trunk Channels', kind: 'opex' },
+    carrier_minutes: { label: 'Carrier Minutes', kind: 'opex' },
+    upgrades: { label: 'Upgrades', kind: 'capex' },
+    dialer_unlock: { label: 'Dialer Unlocks', kind: 'capex' },
+    lead_source_unlock: { label: 'Lead Source Unlocks', kind: 'capex' },
+    dnc_list: { label: 'DNC List', kind: 'capex' },
+    caller_id_numbers: { label: 'Caller ID Numbers', kind: 'capex' }
+};
+
+/**
+ * Reporting kind of a transaction. Unknown categories fall back to the sign of the amount.
+ * @param {string} category
+ * @param {number} amount
+ * @returns {string} 'revenue' | 'opex' | 'capex'
+ */
+export function getCategoryKind(category, amount) {
+    return LEDGER_CATEGORIES[category]?.kind || (amount >= 0 ? 'revenue' : 'opex');
+}
+
+export class Ledger {
+    /**
+     * @param {number} retentionDays - Days of itemized transactions to keep (summaries are kept forever)
+     */
+    constructor(retentionDays = 7) {
+        this.retentionDays = retentionDays;
+        this.transactions = [];
+        this.dailySummaries = new Map(); // day -> { day, openingCash, byCategory }
+        this.nextTransactionId = 1;
+    }
+
+    /**
+     * Record a cash movement
+     * @param {Object} params
+     * @param {number} params.amount - Signed amount (positive = cash in)
+     * @param {string} params.category - Key of LEDGER_CATEGORIES
+     * @param {string|null} params.sourceId - Id of the object that caused it (lead, agent, upgrade...)
+     * @param {number} params.day - Game day
+     * @param {number} params.time - Game time in total minutes
+     * @param {number} params.cashAfter - Cash balance after the movement
+     * @returns {Object} The transaction
+     */
+    record({ amount, category = 'uncategorized', sourceId = null, day, time, cashAfter }) {
+        const transaction = {
+            id: `txn_${this.nextTransactionId++}`,
+            day,
+            time,
+            amount,
+            category,
+            kind: getCategoryKind(category, amount),
+            sourceId
+        };
+        this.transactions.push(transaction);
+
+        const summary = this._getOrCreateSummary(day, cashAfter - amount);
+        summary.byCategory[category] = (summary.byCategory[category] || 0) + amount;
+
+        return transaction;
+    }
+
+    /**
+     * Start a new day's books with its opening balance and drop old itemized history
+     * @param {number} day
+     * @param {number} openingCash
+     */
+    openDay(day, openingCash) {
+        this._getOrCreateSummary(day, openingCash);
+
+        const oldestKept = day - this.retentionDays;
+        this.transactions = this.transactions.filter(t => t.day > oldestKept);
+    }
+
+    /**
+     * @private
+     */
+    _getOrCreateSummary(day, openingCash) {
+        if (!this.dailySummaries.has(day)) {
+            this.dailySummaries.set(day, { day, openingCash, byCategory: {} });
+        }
+        return this.dailySummaries.get(day);
+    }
+
+    /**
+     * Itemized transactions, optionally filtered
+     * @param {Object} filter
+     * @param {number} filter.day
+     * @param {string} filter.category
+     * @param {string} filter.sourceId
+     * @returns {Object[]}
+     */
+    getTransactions({ day, category, sourceId } = {}) {
+        return this.transactions.filter(t =>
+            (day === undefined || t.day === day)
+            && (category === undefined || t.category === category)
+            && (sourceId === undefined || t.sourceId === sourceId)
+        );
+    }
+
+    /**
+     * Build a P&L from per-category totals
+     * @private
+     */
+    _buildPnL(byCategory) {
+        const revenue = {};
+        const operatingExpenses = {};
+        const capitalExpenditures = {};
+
+        for (const [category, amount] of Object.entries(byCategory)) {
+            const kind = getCategoryKind(category, amount);
+            if (kind === 'revenue') revenue[category] = amount;
+            else if (kind === 'capex') capitalExpenditures[category] = -amount;
+            else operatingExpenses[category] = -amount;
+        }
+
+        const sum = obj => Object.values(obj).reduce((total, v) => total + v, 0);
+        const totalRevenue = sum(revenue);
+        const totalOpex = sum(operatingExpenses);
+
+        return {
+            revenue,
+            totalRevenue,
+            operatingExpenses,
+            totalOperatingExpenses: totalOpex,
+            operatingProfit: totalRevenue - totalOpex,
+            capitalExpenditures,
+            totalCapitalExpenditures: sum(capitalExpenditures)
+        };
+    }
+
+    /**
+     * @private
+     */
+    _mergeCategories(summaries) {
+        const merged = {};
+        for (const summary of summaries) {
+            for (const [category, amount] of Object.entries(summary.byCategory)) {
+                merged[category] = (merged[category] || 0) + amount;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Profit & loss for one game day. Capital spend is listed but not netted against profit.
+     * @param {number} day
+     * @returns {Object}
+     */
+    getDailyPnL(day) {
+        const summary = this.dailySummaries.get(day);
+        return { day, ...this._buildPnL(summary?.byCategory || {}) };
+    }
+
+    /**
+     * Profit & loss across all recorded days
+     * @returns {Object}
+     */
+    getLifetimePnL() {
+        const summaries = Array.from(this.dailySummaries.values());
+        return { days: summaries.length, ...this._buildPnL(this._mergeCategories(summaries)) };
+    }
+
+    /**
+     * Cash-flow statement for one game day
+     * @param {number} day
+     * @returns {Object}
+     */
+    getCashFlow(day) {
+        const summary = this.dailySummaries.get(day);
+        return { day, ...this._buildCashFlow(summary?.byCategory || {}, summary?.openingCash ?? null) };
+    }
+
+    /**
+     * Cash-flow statement across all recorded days
+     * @returns {Object}
+     */
+    getLifetimeCashFlow() {
+        const summaries = Array.from(this.dailySummaries.values()).sort((a, b) => a.day - b.day);
+        return this._buildCashFlow(this._mergeCategories(summaries), summaries[0]?.openingCash ?? null);
+    }
+
+    /**
+     * @private
+     */
+    _buildCashFlow(byCategory, openingCash) {
+        let operatingIn = 0;
+        let operatingOut = 0;
+        let investing = 0;
+
+        for (const [category, amount] of Object.entries(byCategory)) {
+            if (getCategoryKind(category, amount) === 'capex') investing += amount;
+            else if (amount >= 0) operatingIn += amount;
+            else operatingOut += amount;
+        }
+
+        const netChange = operatingIn + operatingOut + investing;
+        return {
+            openingCash,
+            operatingIn,
+            operatingOut,
+            netOperating: operatingIn + operatingOut,
+            investing,
+            netChange,
+            closingCash: openingCash === null ? null : openingCash + netChange
+        };
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return {
+            transactions: this.transactions.map(t => ({ ...t })),
+            dailySummaries: Array.from(this.dailySummaries.values()).map(s => ({
+                ...s,
+                byCategory: { ...s.byCategory }
+            })),
+            nextTransactionId: this.nextTransactionId
+        };
+    }
+
+    /**
+     * Load from saved data
+     */
+    loadFromJSON(data) {
+        this.transactions = (data.transactions || []).map(t => ({ ...t }));
+        this.dailySummaries = new Map(
+            (data.dailySummaries || []).map(s => [s.day, { ...s, byCategory: { ...s.byCategory } }])
+        );
+        this.nextTransactionId = data.nextTransactionId || this.transactions.length + 1;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Operating Costs
+ * Itemizes and charges the recurring costs of running the floor at day close.
+ */
+
+import * as Formulas from '../balance/Formulas.js';
+
+export class OperatingCosts {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} defaults - defaults.json contents
+     */
+    constructor(gameState, defaults = {}) {
+        this.state = gameState;
+        this.defaults = defaults;
+    }
+
+    getShiftHours() {
+        return this.state.getShiftHours();
+    }
+
+    /**
+     * List today's recurring costs without charging them
+     * @returns {Object[]} Items of { category, label, sourceId, amount }
+     */
+    getDailyCostItems() {
+        const items = [];
+        const hourlyWage = this.defaults.agent?.baseWagePerHour ?? 0;
+        const dailyWage = Formulas.calculateDailyWage(hourlyWage, this.getShiftHours());
+
+        for (const agent of this.state.agents) {
+            items.push({
+                category: 'wages',
+                label: `Wages: ${agent.name}`,
+                sourceId: agent.id,
+                amount: dailyWage
+            });
+        }
+
+        const dialer = this.state.dialerManager.getActiveDialer();
+        if (dialer) {
+            items.push({
+                category: 'dialer_license',
+                label: `${dialer.name} license (${this.state.agents.length} seats)`,
+                sourceId: dialer.id,
+                amount: dialer.getDailyCost(this.state.agents.length)
+            });
+        }
+
+        const numbers = this.state.callerIds.size;
+        items.push({
+            category: 'caller_id_rent',
+            label: `Caller ID numbers (${numbers})`,
+            sourceId: 'caller_id',
+            amount: numbers * (this.defaults.economy?.numberPoolCostPerNumber ?? 0)
+        });
+
+        const telephony = this.defaults.telephony || {};
+        if (this.state.trunkChannels !== null) {
+            items.push({
+                category: 'trunk_channels',
+                label: `Trunk channels (${this.state.trunkChannels})`,
+                sourceId: 'trunk',
+                amount: this.state.trunkChannels * (telephony.channelCostPerDay ?? 0)
+            });
+        }
+
+        const minutes = this.state.dailyStats.carrierMinutes;
+        items.push({
+            category: 'carrier_minutes',
+            label: `Carrier minutes (${minutes})`,
+            sourceId: 'carrier',
+            amount: minutes * (telephony.carrierRatePerMinute ?? 0)
+        });
+
+        return items.filter(item => item.amount > 0);
+    }
+
+    /**
+     * Total of today's recurring costs
+     * @returns {number}
+     */
+    getDailyTotal() {
+        return this.getDailyCostItems().reduce((sum, item) => sum + item.amount, 0);
+    }
+
+    /**
+     * Charge today's recurring costs
+     * @returns {Object[]} The charged items
+     */
+    chargeDay() {
+        const items = this.getDailyCostItems();
+        for (const item of items) {
+            this.state.adjustCash(-item.amount, item.category, item.sourceId);
+        }
+        return items;
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Upgrade Effects
+ * Registry of upgrade effect types. Each type declares how its levels aggregate
+ * and which engine hook reads the result from GameState.upgradeEffects.
+ */
+
+/**
+ * How an effect type combines across levels and upgrades
+ * @enum {string}
+ */
+export const EffectAggregation = {
+    ADDITIVE: 'additive',             // sum of value * level
+    MULTIPLICATIVE: 'multiplicative', // stacking reductions: 1 - product of (1 - value)^level
+    ONE_SHOT: 'one_shot'              // applied once at purchase, not aggregated
+};
+
+const registry = new Map();
+
+/**
+ * Register an upgrade effect type
+ * @param {string} type - Effect type as written in upgrades.json
+ * @param {Object} definition
+ * @param {string} definition.aggregation - EffectAggregation
+ * @param {string} definition.hook - Engine hook that consumes the effect
+ * @param {string} [definition.key] - upgradeEffects key (additive / multiplicative types)
+ * @param {string} [definition.stat] - Agent stat raised floor-wide (agent_stats hook)
+ * @param {function} [definition.apply] - (upgradeManager, effect, randomFn) => void (one-shot types)
+ */
+export function registerEffectType(type, definition) {
+    registry.set(type, { type, ...definition });
+}
+
+/**
+ * @param {string} type
+ * @returns {Object|undefined} Effect type definition
+ */
+export function getEffectType(type) {
+    return registry.get(type);
+}
+
+/**
+ * Effect types consumed by an engine hook
+ * @param {string} hook
+ * @returns {Object[]}
+ */
+export function getEffectTypesForHook(hook) {
+    return Array.from(registry.values()).filter(def => def.hook === hook);
+}
+
+/**
+ * Upgrade effects with no upgrades owned
+ * @returns {Object} upgradeEffects keyed by effect key
+ */
+export function createEmptyEffects() {
+    const effects = {};
+    for (const def of registry.values()) {
+        if (def.key) effects[def.key] = 0;
+    }
+    return effects;
+}
+
+/**
+ * Aggregate owned upgrade levels into upgradeEffects
+ * @param {Map<string, number>} levels - upgradeId -> level
+ * @param {Map<string, Object>} configs - upgradeId -> upgrade config
+ * @returns {Object}
+ */
+export function aggregateEffects(levels, configs) {
+    const effects = createEmptyEffects();
+    const remaining = {}; // multiplicative keys: fraction left after reductions
+
+    for (const [upgradeId, level] of levels) {
+        const config = configs.get(upgradeId);
+        if (!config || level <= 0) continue;
+
+        for (const effect of config.effects || []) {
+            const def = registry.get(effect.type);
+            if (!def) continue;
+
+            if (def.aggregation === EffectAggregation.ADDITIVE) {
+                effects[def.key] += effect.value * level;
+            } else if (def.aggregation === EffectAggregation.MULTIPLICATIVE) {
+                remaining[def.key] = (remaining[def.key] ?? 1) * Math.pow(1 - effect.value, level);
+            }
+        }
+    }
+
+    for (const [key, fraction] of Object.entries(remaining)) {
+        effects[key] = 1 - fraction;
+    }
+
+    return effects;
+}
+
+/**
+ * Find effect types in upgrade configs that have no registered handler
+ * @param {Object[]} upgradeConfigs
+ * @returns {Object[]} Items of { upgradeId, type }
+ */
+export function findUnknownEffectTypes(upgradeConfigs) {
+    const unknown = [];
+    for (const config of upgradeConfigs || []) {
+        for (const effect of config.effects || []) {
+            if (!registry.has(effect.type)) {
+                unknown.push({ upgradeId: config.id, type: effect.type });
+            }
+        }
+    }
+    return unknown;
+}
+
+// ============================================
+// BUILT-IN EFFECT TYPES
+// ============================================
+
+const { ADDITIVE, MULTIPLICATIVE, ONE_SHOT } = EffectAggregation;
+
+registerEffectType('add_agent', {
+    aggregation: ONE_SHOT,
+    hook: 'hiring',
+    apply: (manager, effect, randomFn) => {
+        for (let i = 0; i < effect.value; i++) manager.hireAgent(randomFn);
+    }
+});
+
+registerEffectType('add_leads', {
+    aggregation: ONE_SHOT,
+    hook: 'leads',
+    apply: (manager, effect, randomFn) => {
+        const leads = manager.state.leadPool.generateLeads(effect.source || 'standard_leads', effect.value, randomFn);
+        manager.state.scrubLeads(leads);
+    }
+});
+
+registerEffectType('add_caller_ids', {
+    aggregation: ONE_SHOT,
+    hook: 'caller_id',
+    apply: (manager, effect, randomFn) => {
+        const pool = manager.state.callerIds;
+        for (let i = 0; i < effect.value; i++) {
+            pool.addNumber(pool.getLeastCoveredTimeZone(), randomFn, { day: manager.state.gameTime.day });
+        }
+    }
+});
+
+registerEffectType('answer_rate_bonus', { aggregation: ADDITIVE, hook: 'answer', key: 'answerRateBonus' });
+registerEffectType('spam_reduction', { aggregation: ADDITIVE, hook: 'answer', key: 'spamReduction' });
+registerEffectType('lead_routing_efficiency', { aggregation: ADDITIVE, hook: 'conversion', key: 'leadRoutingEfficiency' });
+registerEffectType('training_efficiency', { aggregation: ADDITIVE, hook: 'training', key: 'trainingEfficiency' });
+registerEffectType('fatigue_recovery_bonus', { aggregation: ADDITIVE, hook: 'fatigue', key: 'fatigueRecoveryBonus' });
+registerEffectType('fatigue_gain_reduction', { aggregation: ADDITIVE, hook: 'fatigue', key: 'fatigueGainReduction' });
+registerEffectType('new_agent_stat_bonus', { aggregation: ADDITIVE, hook: 'hiring', key: 'newAgentStatBonus' });
+registerEffectType('onboarding_speed', { aggregation: ADDITIVE, hook: 'hiring', key: 'onboardingSpeed' });
+
+registerEffectType('global_skill_talktrack', { aggregation: ADDITIVE, hook: 'agent_stats', key: 'globalSkillTalktrack', stat: 'skillTalktrack' });
+registerEffectType('global_compliance', { aggregation: ADDITIVE, hook: 'agent_stats', key: 'globalCompliance', stat: 'complianceDiscipline' });
+registerEffectType('global_speed_wrapup', { aggregation: ADDITIVE, hook: 'agent_stats', key: 'globalSpeedWrapup', stat: 'speedWrapup' });
+registerEffectType('global_consistency', { aggregation: ADDITIVE, hook: 'agent_stats', key: 'globalConsistency', stat: 'consistency' });
+
+registerEffectType('aht_reduction', { aggregation: MULTIPLICATIVE, hook: 'aht', key: 'ahtReduction' });
+registerEffectType('compliance_risk_reduction', { aggregation: MULTIPLICATIVE, hook: 'compliance', key: 'complianceRiskReduction' });
+registerEffectType('reputation_recovery', { aggregation: ADDITIVE, hook: 'day_close', key: 'reputationRecovery' });
+registerEffectType('safe_harbor', { aggregation: ADDITIVE, hook: 'compliance', key: 'safeHarbor' });
+registerEffectType('dnc_scrubbing', { aggregation: ADDITIVE, hook: 'leads', key: 'dncScrubbing' });
+registerEffectType('lead_scoring', { aggregation: ADDITIVE, hook: 'leads', key: 'leadScoring' });
+registerEffectType('unlock_metrics', { aggregation: ADDITIVE, hook: 'metrics', key: 'metricsLevel' });
@@ -4,10 +4,17 @@
  */
 
 import * as Formulas from '../balance/Formulas.js';
+import { EffectAggregation, getEffectType, aggregateEffects } from './UpgradeEffects.js';
 
 export class UpgradeManager {
-    constructor(gameState, upgradeConfigs) {
+    /**
+     * @param {GameState} gameState
+     * @param {Object[]} upgradeConfigs
+     * @param {Object} agentDefaults - defaults.agent (onboarding ramp for hires)
+     */
+    constructor(gameState, upgradeConfigs, agentDefaults = {}) {
         this.state = gameState;
+        this.agentDefaults = agentDefaults;
         this.configs = new Map();
 
         for (const config of upgradeConfigs) {
@@ -59,7 +66,7 @@ export class UpgradeManager {
         const config = this.configs.get(upgradeId);
         const cost = this.getUpgradeCost(upgradeId);
 
-        this.state.adjustCash(-cost);
+        this.state.adjustCash(-cost, this.getLedgerCategory(config), upgradeId);
         this.state.setUpgradeLevel(upgradeId, this.getCurrentLevel(upgradeId) + 1);
 
         this.applyEffects(config.effects, randomFn);
@@ -68,29 +75,51 @@ export class UpgradeManager {
         return true;
     }
 
+    /**
+     * Ledger category for an upgrade purchase: lead batches and hires are
+     * operating spend, everything else is capital investment.
+     * @param {Object} config
+     * @returns {string}
+     */
+    getLedgerCategory(config) {
+        const types = (config.effects || []).map(e => e.type);
+        if (types.includes('add_leads')) return 'leads';
+        if (types.includes('add_agent')) return 'hiring';
+        return 'upgrades';
+    }
+
+    /**
+     * Apply the one-shot effects of a purchase; lasting effects come from recalculateEffects()
+     * @param {Object[]} effects
+     * @param {function} randomFn
+     */
     applyEffects(effects, randomFn) {
         for (const effect of effects || []) {
-            switch (effect.type) {
-                case 'add_agent':
-                    for (let i = 0; i < effect.value; i++) {
-                        this.state.addAgent(
-                            this.getNewAgentStats(),
-                            0.15,
-                            randomFn
-                        );
-                    }
-                    break;
-                case 'add_leads':
-                    this.state.leadPool.generateLeads(
-                        effect.source || 'standard_leads',
-                        effect.value,
-                        randomFn
-                    );
-                    break;
+            const def = getEffectType(effect.type);
+            if (def?.aggregation === EffectAggregation.ONE_SHOT) {
+                def.apply(this, effect, randomFn);
             }
         }
     }
 
+    /**
+     * Hire an agent, ramping them up over the onboarding period
+     * @param {function} randomFn
+     * @returns {Agent}
+     */
+    hireAgent(randomFn) {
+        const agent = this.state.addAgent(this.getNewAgentStats(), 0.15, randomFn);
+
+        const rampMinutes = Formulas.calculateOnboardingMinutes(
+            this.agentDefaults.rampUpMinutes ?? 0,
+            this.state.upgradeEffects.onboardingSpeed || 0
+        );
+        if (rampMinutes > 0) {
+            agent.startOnboarding(rampMinutes, this.agentDefaults.rampSkillPenalty ?? 0);
+        }
+        return agent;
+    }
+
     getNewAgentStats() {
         const bonus = (this.state.upgradeEffects.newAgentStatBonus || 0);
         return {
@@ -104,73 +133,8 @@ export class UpgradeManager {
     }
 
     recalculateEffects() {
-        const effects = {
-            answerRateBonus: 0,
-            spamReduction: 0,
-            leadRoutingEfficiency: 0,
-            trainingEfficiency: 0,
-            fatigueRecoveryBonus: 0,
-            fatigueGainReduction: 0,
-            newAgentStatBonus: 0,
-            globalSkillTalktrack: 0,
-            globalCompliance: 0,
-            globalSpeedWrapup: 0,
-            globalConsistency: 0
-        };
-
-        for (const [upgradeId, level] of this.state.upgrades) {
-            const config = this.configs.get(upgradeId);
-            if (!config) continue;
-
-            for (const effect of config.effects || []) {
-                const value = effect.value * level;
-
-                switch (effect.type) {
-                    case 'answer_rate_bonus':
-                        effects.answerRateBonus += value;
-                        break;
-                    case 'spam_reduction':
-                        effects.spamReduction += value;
-                        break;
-                    case 'lead_routing_efficiency':
-                        effects.leadRoutingEfficiency += value;
-                        break;
-                    case 'training_efficiency':
-                        effects.trainingEfficiency += value;
-                        break;
-                    case 'fatigue_recovery_bonus':
-                        effects.fatigueRecoveryBonus += value;
-                        break;
-                    case 'fatigue_gain_reduction':
-                        effects.fatigueGainReduction += value;
-                        break;
-                    case 'new_agent_stat_bonus':
-                        effects.newAgentStatBonus += value;
-                        break;
-                    case 'global_skill_talktrack':
-                        effects.globalSkillTalktrack += value;
-                        break;
-                    case 'global_compliance':
-                        effects.globalCompliance += value;
-                        break;
-                    case 'global_speed_wrapup':
-                        effects.globalSpeedWrapup += value;
-                        break;
-                    case 'global_consistency':
-                        effects.globalConsistency += value;
-                        break;
-                }
-            }
-        }
-
-        this.state.upgradeEffects = effects;
-        this.applyGlobalAgentBonuses(effects);
-    }
-
-    applyGlobalAgentBonuses(effects) {
-        for (const agent of this.state.agents) {
-            // Global bonuses are applied on top of base stats
-        }
+        // Global agent bonuses are read on top of base stats via GameState.getEffectiveStats()
+        this.state.upgradeEffects = aggregateEffects(this.state.upgrades, this.configs);
     }
 
     getAvailableUpgrades() {
@@ -0,0 +1,82 @@
+/**
+ * Abandonment Monitor
+ * Tracks abandoned calls against live-answered calls over a rolling window of
+ * game days, the way regulators measure predictive dialing, and keeps the
+ * floor's standing on the escalation ladder (warnings, fines, downgrade).
+ */
+
+export class AbandonmentMonitor {
+    constructor() {
+        this.history = []; // closed days, oldest first: { day, answered, abandoned }
+        this.today = { answered: 0, abandoned: 0 };
+        this.daysOverCap = 0; // consecutive reviews over the cap
+        this.pacedDialersSuspended = false; // after a forced downgrade, until back under the cap
+    }
+
+    /**
+     * Count a call a person answered, whether or not an agent took it
+     */
+    recordAnswered() {
+        this.today.answered++;
+    }
+
+    /**
+     * Count an abandoned call
+     * @param {number} weight - How much it counts toward the rate (safe-harbor messages count less)
+     */
+    recordAbandoned(weight = 1) {
+        this.today.abandoned += weight;
+    }
+
+    /**
+     * Totals over the window, including today
+     * @param {number} windowDays
+     * @returns {Object} { answered, abandoned, rate }
+     */
+    getWindow(windowDays = 30) {
+        let answered = this.today.answered;
+        let abandoned = this.today.abandoned;
+        const pastDays = windowDays > 1 ? this.history.slice(-(windowDays - 1)) : [];
+        for (const day of pastDays) {
+            answered += day.answered;
+            abandoned += day.abandoned;
+        }
+        return { answered, abandoned, rate: answered > 0 ? abandoned / answered : 0 };
+    }
+
+    /**
+     * Close today into the history
+     * @param {number} day - Game day being closed
+     * @param {number} windowDays - Days of history to keep
+     * @returns {Object} Window totals including the closed day: { answered, abandoned, rate }
+     */
+    closeDay(day, windowDays = 30) {
+        const window = this.getWindow(windowDays);
+        this.history.push({ day, ...this.today });
+        if (this.history.length > windowDays) this.history.shift();
+        this.today = { answered: 0, abandoned: 0 };
+        return window;
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return {
+            history: this.history.map(d => ({ ...d })),
+            today: { ...this.today },
+            daysOverCap: this.daysOverCap,
+            pacedDialersSuspended: this.pacedDialersSuspended
+        };
+    }
+
+    /**
+     * Load from saved data
+     */
+    loadFromJSON(data) {
+        this.history = (data.history || []).map(d => ({ ...d }));
+        this.today = { answered: 0, abandoned: 0, ...data.today };
+        this.daysOverCap = data.daysOverCap || 0;
+        this.pacedDialersSuspended = data.pacedDialersSuspended || false;
+    }
+}
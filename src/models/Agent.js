@@ -3,7 +3,7 @@
  * Represents a call center agent with stats, state, and training progress.
  */
 
-import { clamp } from '../balance/Formulas.js';
+import { clamp, calculateXPRequired, calculateNewSkillLevel } from '../balance/Formulas.js';
 
 /**
  * Agent states in the state machine
@@ -20,6 +20,18 @@ export const AgentState = {
     UNAVAILABLE: 'unavailable'
 };
 
+/**
+ * Stats that make up an agent's skill profile (all 0-1)
+ */
+export const AGENT_STATS = [
+    'skillTalktrack',
+    'speedWrapup',
+    'complianceDiscipline',
+    'resilience',
+    'charisma',
+    'consistency'
+];
+
 /**
  * Generate a random agent name
  * @param {function} randomFn - Random number generator function
@@ -63,7 +75,7 @@ export class Agent {
         this.id = id;
         this.name = name || generateAgentName(randomFn);
 
-        // Core stats (0-1)
+        // Base stats (0-1). Training, upgrades and events layer on top; see getEffectiveStat()
         this.skillTalktrack = this._generateStat(baseStats.skillTalktrack ?? 0.4, statVariance, randomFn);
         this.speedWrapup = this._generateStat(baseStats.speedWrapup ?? 0.4, statVariance, randomFn);
         this.complianceDiscipline = this._generateStat(baseStats.complianceDiscipline ?? 0.5, statVariance, randomFn);
@@ -76,19 +88,20 @@ export class Agent {
         this.morale = 0.7;
         this.state = AgentState.IDLE;
         this.stateTimeRemaining = 0; // Seconds remaining in current state
+        this.lastBreakAt = null; // Game minute of last break start (null = clock not started)
+        this.rampMinutesRemaining = 0; // Work minutes until onboarding penalties lift
 
         // Current call data
         this.currentCall = null;
 
         // Training XP per skill
-        this.trainingXP = {
-            skillTalktrack: 0,
-            speedWrapup: 0,
-            complianceDiscipline: 0,
-            resilience: 0,
-            charisma: 0,
-            consistency: 0
-        };
+        this.trainingXP = this._createEmptyStatMap();
+
+        // Skill levels earned through training, on top of base stats
+        this.trainingBonus = this._createEmptyStatMap();
+
+        // Temporary or attributable stat changes: { source, stat, value }
+        this.modifiers = [];
 
         // Performance stats (reset daily)
         this.dailyStats = this._createEmptyDailyStats();
@@ -114,6 +127,13 @@ export class Agent {
         return clamp(base + variation, 0.1, 0.9);
     }
 
+    /**
+     * @private
+     */
+    _createEmptyStatMap() {
+        return Object.fromEntries(AGENT_STATS.map(stat => [stat, 0]));
+    }
+
     /**
      * Create empty daily stats object
      * @private
@@ -125,7 +145,8 @@ export class Agent {
             conversions: 0,
             talkTimeSeconds: 0,
             revenue: 0,
-            complaints: 0
+            complaints: 0,
+            breaks: 0
         };
     }
 
@@ -208,6 +229,25 @@ export class Agent {
         this.stateTimeRemaining = breakDurationSeconds;
     }
 
+    /**
+     * Take agent off the floor until cleared (events, leave)
+     */
+    markUnavailable() {
+        this.state = AgentState.UNAVAILABLE;
+        this.stateTimeRemaining = 0;
+        this.currentCall = null;
+    }
+
+    /**
+     * Return an unavailable agent to the floor
+     */
+    clearUnavailable() {
+        if (this.state === AgentState.UNAVAILABLE) {
+            this.state = AgentState.IDLE;
+            this.stateTimeRemaining = 0;
+        }
+    }
+
     /**
      * Start training session
      * @param {string} skillToTrain
@@ -260,7 +300,7 @@ export class Agent {
     }
 
     /**
-     * Apply stat bonus (from upgrades/training)
+     * Permanently change a base stat
      * @param {string} stat - Stat name
      * @param {number} bonus - Amount to add
      */
@@ -281,14 +321,129 @@ export class Agent {
         }
     }
 
+    /**
+     * Base stat plus training (the level training XP is measured against)
+     * @param {string} stat
+     * @returns {number}
+     */
+    getTrainedLevel(stat) {
+        return this[stat] + (this.trainingBonus[stat] || 0);
+    }
+
+    /**
+     * Convert banked training XP into skill levels, carrying leftover XP forward
+     * @param {string} skill
+     * @param {number} baseXP - XP required for the first level step
+     * @param {number} maxLevel - Cap on base + training
+     * @returns {number} Level steps gained
+     */
+    applyTrainingLevels(skill, baseXP, maxLevel = 1) {
+        if (this.trainingXP[skill] === undefined) return 0;
+
+        const atCap = () => maxLevel - this.getTrainedLevel(skill) < 1e-9; // tolerate float drift from 0.01 steps
+        let steps = 0;
+        while (!atCap()) {
+            const level = this.getTrainedLevel(skill);
+            const required = calculateXPRequired(level, baseXP);
+            if (this.trainingXP[skill] < required) break;
+
+            this.trainingXP[skill] -= required;
+            const newLevel = Math.min(calculateNewSkillLevel(level, required, required), maxLevel);
+            this.trainingBonus[skill] += newLevel - level;
+            steps++;
+        }
+
+        // Nothing left to learn at the cap
+        if (atCap()) {
+            this.trainingBonus[skill] = Math.max(this.trainingBonus[skill], maxLevel - this[skill]);
+            this.trainingXP[skill] = 0;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Add a stat modifier that can later be removed by its source
+     * @param {string} source - Who applied it (e.g. an event id)
+     * @param {string} stat
+     * @param {number} value - Amount added to the effective stat
+     */
+    addModifier(source, stat, value) {
+        if (!AGENT_STATS.includes(stat)) return;
+        this.modifiers.push({ source, stat, value });
+    }
+
+    /**
+     * Remove every modifier from a source
+     * @param {string} source
+     * @returns {number} Modifiers removed
+     */
+    removeModifiers(source) {
+        const before = this.modifiers.length;
+        this.modifiers = this.modifiers.filter(m => m.source !== source);
+        return before - this.modifiers.length;
+    }
+
+    /**
+     * Start a new hire's ramp-up with reduced talk track and wrap-up speed
+     * @param {number} minutes - Work minutes until fully ramped
+     * @param {number} penalty - Stat reduction while ramping
+     */
+    startOnboarding(minutes, penalty) {
+        this.removeModifiers('onboarding');
+        this.rampMinutesRemaining = minutes;
+        this.addModifier('onboarding', 'skillTalktrack', -penalty);
+        this.addModifier('onboarding', 'speedWrapup', -penalty);
+    }
+
+    /**
+     * Count down the ramp; lifts onboarding penalties when it ends
+     * @param {number} minutes
+     * @returns {boolean} True if the agent just finished ramping
+     */
+    advanceOnboarding(minutes) {
+        if (this.rampMinutesRemaining <= 0) return false;
+
+        this.rampMinutesRemaining = Math.max(0, this.rampMinutesRemaining - minutes);
+        if (this.rampMinutesRemaining > 0) return false;
+
+        this.removeModifiers('onboarding');
+        return true;
+    }
+
+    /**
+     * Stat value the simulation should use: base + training + global bonuses + modifiers
+     * @param {string} stat
+     * @param {number} globalBonus - Floor-wide bonus (upgrades) for this stat
+     * @returns {number}
+     */
+    getEffectiveStat(stat, globalBonus = 0) {
+        const modifiers = this.modifiers
+            .filter(m => m.stat === stat)
+            .reduce((sum, m) => sum + m.value, 0);
+        return clamp(this.getTrainedLevel(stat) + globalBonus + modifiers, 0, 1);
+    }
+
+    /**
+     * All effective stats
+     * @param {Object} globalBonuses - Floor-wide bonuses keyed by stat name
+     * @returns {Object}
+     */
+    getEffectiveStats(globalBonuses = {}) {
+        return Object.fromEntries(
+            AGENT_STATS.map(stat => [stat, this.getEffectiveStat(stat, globalBonuses[stat] || 0)])
+        );
+    }
+
     /**
      * Calculate effective conversion multiplier
+     * @param {Object} stats - Effective stats (defaults to this agent's without global bonuses)
      * @returns {number}
      */
-    getConversionMultiplier() {
-        const talktrackEffect = 0.7 + (this.skillTalktrack * 0.6);
-        const charismaEffect = 1 + (this.charisma * 0.15);
-        const consistencyEffect = 1 + (this.consistency * 0.05);
+    getConversionMultiplier(stats = this.getEffectiveStats()) {
+        const talktrackEffect = 0.7 + (stats.skillTalktrack * 0.6);
+        const charismaEffect = 1 + (stats.charisma * 0.15);
+        const consistencyEffect = 1 + (stats.consistency * 0.05);
         return talktrackEffect * charismaEffect * consistencyEffect;
     }
 
@@ -328,7 +483,11 @@ export class Agent {
             morale: this.morale,
             state: this.state,
             stateTimeRemaining: this.stateTimeRemaining,
+            lastBreakAt: this.lastBreakAt,
+            rampMinutesRemaining: this.rampMinutesRemaining,
             trainingXP: { ...this.trainingXP },
+            trainingBonus: { ...this.trainingBonus },
+            modifiers: this.modifiers.map(m => ({ ...m })),
             dailyStats: { ...this.dailyStats },
             lifetimeStats: { ...this.lifetimeStats },
             hiredAt: this.hiredAt
@@ -359,8 +518,12 @@ export class Agent {
         agent.morale = data.morale;
         agent.state = data.state;
         agent.stateTimeRemaining = data.stateTimeRemaining;
+        agent.lastBreakAt = data.lastBreakAt ?? null;
+        agent.rampMinutesRemaining = data.rampMinutesRemaining ?? 0;
         agent.trainingXP = { ...data.trainingXP };
-        agent.dailyStats = { ...data.dailyStats };
+        agent.trainingBonus = { ...agent.trainingBonus, ...data.trainingBonus };
+        agent.modifiers = (data.modifiers || []).map(m => ({ ...m }));
+        agent.dailyStats = { ...agent.dailyStats, ...data.dailyStats };
         agent.lifetimeStats = { ...data.lifetimeStats };
         agent.hiredAt = data.hiredAt;
 
@@ -0,0 +1,93 @@
+/**
+ * Callback Queue
+ * Scheduled callbacks ordered by due time. The earliest callback is always first.
+ */
+
+export class CallbackQueue {
+    constructor() {
+        this.pending = []; // sorted by dueAt ascending
+        this.nextCallbackId = 1;
+    }
+
+    /**
+     * Schedule a callback
+     * @param {Object} params
+     * @param {string} params.leadId
+     * @param {string} params.agentId - Agent who took the original call
+     * @param {number} params.dueAt - Game time in total minutes
+     * @param {number} params.scheduledAt - Game time in total minutes
+     * @returns {Object} The callback
+     */
+    schedule({ leadId, agentId, dueAt, scheduledAt }) {
+        const callback = { id: `cb_${this.nextCallbackId++}`, leadId, agentId, dueAt, scheduledAt };
+
+        let index = this.pending.length;
+        while (index > 0 && this.pending[index - 1].dueAt > dueAt) index--;
+        this.pending.splice(index, 0, callback);
+
+        return callback;
+    }
+
+    /**
+     * Callbacks that are due, earliest first
+     * @param {number} now - Game time in total minutes
+     * @returns {Object[]}
+     */
+    getDue(now) {
+        const due = [];
+        for (const callback of this.pending) {
+            if (callback.dueAt > now) break;
+            due.push(callback);
+        }
+        return due;
+    }
+
+    /**
+     * Take a callback off the queue
+     * @param {string} callbackId
+     * @returns {boolean} True if it was pending
+     */
+    remove(callbackId) {
+        const before = this.pending.length;
+        this.pending = this.pending.filter(c => c.id !== callbackId);
+        return this.pending.length < before;
+    }
+
+    /**
+     * Remove and return callbacks whose window closed without a dial
+     * @param {number} now - Game time in total minutes
+     * @param {number} graceMinutes - How late a callback may still be made
+     * @returns {Object[]}
+     */
+    takeMissed(now, graceMinutes) {
+        const missed = this.pending.filter(c => now > c.dueAt + graceMinutes);
+        if (missed.length > 0) {
+            this.pending = this.pending.filter(c => now <= c.dueAt + graceMinutes);
+        }
+        return missed;
+    }
+
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return {
+            pending: this.pending.map(c => ({ ...c })),
+            nextCallbackId: this.nextCallbackId
+        };
+    }
+
+    /**
+     * Load from saved data
+     */
+    loadFromJSON(data) {
+        this.pending = (data.pending || [])
+            .map(c => ({ ...c }))
+            .sort((a, b) => a.dueAt - b.dueAt);
+        this.nextCallbackId = data.nextCallbackId || this.pending.length + 1;
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Caller ID
+ * The phone numbers the floor dials out from. Each number keeps its own
+ * reputation and daily usage; numbers worn down by heavy dialing get
+ * spam-tagged by carriers until they recover.
+ */
+
+import { TIME_ZONES, generatePhoneNumber } from './Lead.js';
+
+export class CallerIdNumber {
+    constructor({
+        id,
+        phone,
+        timeZone = 'eastern',
+        reputation = 75,
+        dialsToday = 0,
+        totalDials = 0,
+        spamTagged = false,
+        acquiredDay = 1
+    }) {
+        this.id = id;
+        this.phone = phone;
+        this.timeZone = timeZone;
+        this.reputation = reputation;
+        this.dialsToday = dialsToday;
+        this.totalDials = totalDials;
+        this.spamTagged = spamTagged;
+        this.acquiredDay = acquiredDay;
+    }
+
+    get areaCode() {
+        return this.phone.slice(0, 3);
+    }
+
+    /**
+     * Count a dial. Dials past the daily limit wear the number's reputation.
+     * @param {Object} settings
+     * @param {number} settings.dailyDialLimit - Dials per day before wear
+     * @param {number} settings.wearPerDial - Reputation lost per dial past the limit
+     * @param {number} settings.tagThreshold - Reputation below which carriers tag the number
+     */
+    recordDial({ dailyDialLimit, wearPerDial, tagThreshold }) {
+        this.dialsToday++;
+        this.totalDials++;
+        if (this.dialsToday > dailyDialLimit) {
+            this.adjustReputation(-wearPerDial, tagThreshold);
+        }
+    }
+
+    /**
+     * @param {number} amount - Signed change
+     * @param {number} tagThreshold - Reputation below which carriers tag the number
+     */
+    adjustReputation(amount, tagThreshold) {
+        this.reputation = Math.max(0, Math.min(100, this.reputation + amount));
+        this.spamTagged = this.reputation < tagThreshold;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            phone: this.phone,
+            timeZone: this.timeZone,
+            reputation: this.reputation,
+            dialsToday: this.dialsToday,
+            totalDials: this.totalDials,
+            spamTagged: this.spamTagged,
+            acquiredDay: this.acquiredDay
+        };
+    }
+
+    static fromJSON(data) {
+        return new CallerIdNumber(data);
+    }
+}
+
+export class CallerIdPool {
+    constructor() {
+        this.numbers = new Map(); // id -> CallerIdNumber
+        this.nextNumberId = 1;
+    }
+
+    get size() {
+        return this.numbers.size;
+    }
+
+    /**
+     * Add a number with an area code from a time zone
+     * @param {string} timeZone - Key of TIME_ZONES
+     * @param {function} randomFn
+     * @param {Object} options
+     * @param {number} options.reputation - Starting reputation
+     * @param {number} options.day - Game day acquired
+     * @returns {CallerIdNumber|null} Null for an unknown time zone
+     */
+    addNumber(timeZone, randomFn = Math.random, { reputation = 75, day = 1 } = {}) {
+        const zone = TIME_ZONES[timeZone];
+        if (!zone) return null;
+
+        const areaCode = zone.areaCodes[Math.floor(randomFn() * zone.areaCodes.length)];
+        const number = new CallerIdNumber({
+            id: `cid_${this.nextNumberId++}`,
+            phone: generatePhoneNumber(randomFn, areaCode),
+            timeZone,
+            reputation,
+            acquiredDay: day
+        });
+        this.numbers.set(number.id, number);
+        return number;
+    }
+
+    /**
+     * Stop using a number. The last number can't be retired.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    retire(id) {
+        if (this.numbers.size <= 1) return false;
+        return this.numbers.delete(id);
+    }
+
+    /**
+     * @returns {CallerIdNumber[]}
+     */
+    getAll() {
+        return Array.from(this.numbers.values());
+    }
+
+    /**
+     * Time zone with the fewest numbers, for spreading new numbers out
+     * @returns {string}
+     */
+    getLeastCoveredTimeZone() {
+        const counts = Object.fromEntries(Object.keys(TIME_ZONES).map(zone => [zone, 0]));
+        for (const number of this.numbers.values()) counts[number.timeZone]++;
+        return Object.keys(counts).reduce((best, zone) => (counts[zone] < counts[best] ? zone : best));
+    }
+
+    /**
+     * Rotate to the least-used number for a dial, skipping spam-tagged numbers
+     * while clean ones are left
+     * @param {Lead} lead
+     * @param {boolean} preferLocal - Use a number in the lead's time zone when there is one
+     * @returns {CallerIdNumber|null} Null if the pool is empty
+     */
+    pick(lead, preferLocal = false) {
+        let candidates = this.getAll();
+        const clean = candidates.filter(n => !n.spamTagged);
+        if (clean.length > 0) candidates = clean;
+
+        if (preferLocal) {
+            const local = candidates.filter(n => n.timeZone === lead.timeZone);
+            if (local.length > 0) candidates = local;
+        }
+
+        let best = null;
+        for (const number of candidates) {
+            if (!best || number.dialsToday < best.dialsToday) best = number;
+        }
+        return best;
+    }
+
+    /**
+     * Rest every number overnight
+     * @param {Object} settings
+     * @param {number} settings.dailyRecovery - Reputation regained per day
+     * @param {number} settings.tagThreshold - Reputation below which carriers tag the number
+     */
+    closeDay({ dailyRecovery, tagThreshold }) {
+        for (const number of this.numbers.values()) {
+            number.dialsToday = 0;
+            number.adjustReputation(dailyRecovery, tagThreshold);
+        }
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return {
+            numbers: this.getAll().map(n => n.toJSON()),
+            nextNumberId: this.nextNumberId
+        };
+    }
+
+    /**
+     * Load from saved data
+     */
+    loadFromJSON(data) {
+        this.numbers = new Map((data.numbers || []).map(n => [n.id, CallerIdNumber.fromJSON(n)]));
+        this.nextNumberId = data.nextNumberId || this.numbers.size + 1;
+    }
+}
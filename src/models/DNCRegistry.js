@@ -0,0 +1,72 @@
+/**
+ * DNC Registry
+ * Do-Not-Call numbers the floor must not dial: internal opt-outs plus the
+ * national registry, which only helps scrubbing once the list is purchased.
+ */
+
+export class DNCRegistry {
+    constructor() {
+        this.optOuts = new Set(); // phone numbers
+        this.hasNationalList = false;
+    }
+
+    /**
+     * Record an internal opt-out
+     * @param {string} phone
+     */
+    addOptOut(phone) {
+        if (phone) this.optOuts.add(phone);
+    }
+
+    /**
+     * Which list a lead's number is actually on, known or not
+     * @param {Lead} lead
+     * @returns {string|null} 'internal', 'national' or null
+     */
+    getListing(lead) {
+        if (this.optOuts.has(lead.phone)) return 'internal';
+        if (lead.onNationalDnc) return 'national';
+        return null;
+    }
+
+    /**
+     * Whether scrubbing can catch this lead with the lists we hold
+     * @param {Lead} lead
+     * @returns {boolean}
+     */
+    isKnown(lead) {
+        return this.optOuts.has(lead.phone) || (this.hasNationalList && lead.onNationalDnc);
+    }
+
+    /**
+     * Split leads into those safe to keep and those on a known list
+     * @param {Lead[]} leads
+     * @returns {Object} { kept, removed }
+     */
+    scrub(leads) {
+        const kept = [];
+        const removed = [];
+        for (const lead of leads) {
+            (this.isKnown(lead) ? removed : kept).push(lead);
+        }
+        return { kept, removed };
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return {
+            optOuts: Array.from(this.optOuts),
+            hasNationalList: this.hasNationalList
+        };
+    }
+
+    /**
+     * Load from saved data
+     */
+    loadFromJSON(data) {
+        this.optOuts = new Set(data.optOuts || []);
+        this.hasNationalList = data.hasNationalList ?? false;
+    }
+}
@@ -3,9 +3,12 @@
  * Represents dialer technology with throughput, quality, and cost tradeoffs.
  */
 
+import { calculateAmdRates, clamp } from '../balance/Formulas.js';
+
 export const DialerType = {
     MANUAL: 'manual',
     POWER: 'power',
+    PREVIEW: 'preview',
     PROGRESSIVE: 'progressive',
     PREDICTIVE: 'predictive',
     AI_ASSISTED: 'ai_assisted'
@@ -22,7 +25,10 @@ export class Dialer {
         this.qaAssistMultiplier = config.qaAssistMultiplier || 1.0;
         this.ahtReductionFactor = config.ahtReductionFactor || 0;
         this.agentOccupancyTarget = config.agentOccupancyTarget || 0.5;
-        this.abandonmentRate = config.abandonmentRate || 0;
+        this.pacing = config.pacing || null; // { maxLinesPerAgent, predictAgents } for dialers that dial ahead of agents
+        this.preview = config.preview || null; // { reviewSeconds, conversionBoost, skipBelowIntent, skipCooldownMinutes } for dialers that show agents the lead first
+        this.amd = config.amd || null; // { accuracy, falsePositiveRate } for dialers that screen out answering machines
+        this.amdAggressiveness = config.amd?.aggressiveness ?? 0.5;
         this.spamRiskMultiplier = config.spamRiskMultiplier || 1.0;
         this.costPerAgentPerDay = config.costPerAgentPerDay || 0;
         this.unlockCost = config.unlockCost || 0;
@@ -43,12 +49,57 @@ export class Dialer {
         return this.costPerAgentPerDay * agentCount;
     }
 
-    shouldAbandon(randomFn = Math.random) {
-        return randomFn() < this.abandonmentRate;
+    /**
+     * Whether the dialer launches lines ahead of agents instead of one dial per idle agent
+     * @returns {boolean}
+     */
+    isPaced() {
+        return this.pacing !== null;
+    }
+
+    /**
+     * Whether agents review each lead before it is dialed
+     * @returns {boolean}
+     */
+    isPreview() {
+        return this.preview !== null;
+    }
+
+    hasAmd() {
+        return this.amd !== null;
+    }
+
+    /**
+     * Whether AMD is screening answers (fitted and not turned down to 0)
+     * @returns {boolean}
+     */
+    isAmdOn() {
+        return this.hasAmd() && this.amdAggressiveness > 0;
+    }
+
+    /**
+     * Tune answering-machine detection
+     * @param {number} aggressiveness - 0 (off) to 1
+     * @returns {boolean} False if the dialer has no AMD
+     */
+    setAmdAggressiveness(aggressiveness) {
+        if (!this.hasAmd() || !Number.isFinite(aggressiveness)) return false;
+        this.amdAggressiveness = clamp(aggressiveness, 0, 1);
+        return true;
+    }
+
+    /**
+     * @returns {Object} { detectRate, falsePositiveRate }, both 0 without AMD
+     */
+    getAmdRates() {
+        if (!this.hasAmd()) return { detectRate: 0, falsePositiveRate: 0 };
+        return calculateAmdRates({ ...this.amd, aggressiveness: this.amdAggressiveness });
     }
 
     toJSON() {
-        return { id: this.id, unlocked: this.unlocked };
+        const data = { id: this.id, unlocked: this.unlocked };
+        if (this.hasAmd()) data.amdAggressiveness = this.amdAggressiveness;
+        return data;
     }
 }
 
@@ -108,7 +159,10 @@ export class DialerManager {
         for (const config of dialerConfigs) {
             const dialer = new Dialer(config);
             const savedDialer = data.dialers?.find(d => d.id === config.id);
-            if (savedDialer) dialer.unlocked = savedDialer.unlocked;
+            if (savedDialer) {
+                dialer.unlocked = savedDialer.unlocked;
+                if (savedDialer.amdAggressiveness !== undefined) dialer.setAmdAggressiveness(savedDialer.amdAggressiveness);
+            }
             this.dialers.set(dialer.id, dialer);
         }
         this.activeDialerId = data.activeDialerId || 'manual';
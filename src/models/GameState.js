@@ -3,9 +3,17 @@
  */
 
 import { Agent } from './Agent.js';
-import { LeadPool, LeadSource } from './Lead.js';
+import { LeadPool, LeadSource, Disposition, RoutingStrategy, MINUTES_PER_DAY } from './Lead.js';
+import { LeadScoringModel } from './LeadScoring.js';
+import { CallbackQueue } from './CallbackQueue.js';
+import { DNCRegistry } from './DNCRegistry.js';
+import { CallerIdPool } from './CallerId.js';
+import { AbandonmentMonitor } from './AbandonmentMonitor.js';
 import { Dialer, DialerManager } from './Dialer.js';
+import { Ledger, getCategoryKind } from '../economy/Ledger.js';
+import { getEffectTypesForHook } from '../economy/UpgradeEffects.js';
 import { clamp } from '../balance/Formulas.js';
+import { SAVE_VERSION } from '../persistence/SaveManager.js';
 
 export class GameState {
     constructor() {
@@ -15,8 +23,16 @@ export class GameState {
         this.agents = [];
         this.nextAgentId = 1;
 
-        this.leadPool = new LeadPool();
+        this.leadScoring = new LeadScoringModel();
+        this.leadPool = new LeadPool(() => this.gameTime.totalMinutes, this.leadScoring);
         this.dialerManager = new DialerManager();
+        this.callbacks = new CallbackQueue();
+        this.dnc = new DNCRegistry();
+        this.callerIds = new CallerIdPool();
+        this.trunkChannels = null; // concurrent outbound channels, null while uncapped
+        this.abandonment = new AbandonmentMonitor();
+        this.violations = []; // compliance violations, newest last
+        this.violationHistoryLimit = 100;
 
         this.upgrades = new Map(); // upgradeId -> level
         this.upgradeEffects = {}; // Cached effects
@@ -27,12 +43,15 @@ export class GameState {
             minute: 0,
             totalMinutes: 0
         };
+        this.shift = { startHour: 9, endHour: 17 };
 
         this.dailyStats = this._createEmptyDailyStats();
         this.lifetimeStats = this._createEmptyLifetimeStats();
+        this.ledger = new Ledger();
 
         this.activeEvents = [];
         this.eventHistory = [];
+        this.pendingDecisions = [];
 
         this.isPaused = true;
         this.speedMultiplier = 1;
@@ -40,16 +59,23 @@ export class GameState {
 
     _createEmptyDailyStats() {
         return {
-            dials: 0, contacts: 0, conversions: 0,
-            revenue: 0, costs: 0, profit: 0,
-            complaints: 0, abandonments: 0
+            dials: 0, repeatDials: 0, contacts: 0, conversions: 0,
+            revenue: 0, costs: 0, profit: 0, capex: 0,
+            complaints: 0, answered: 0, abandonments: 0,
+            callbacksKept: 0, callbacksMissed: 0, dncViolations: 0, callingHoursViolations: 0,
+            abandonmentViolations: 0, machinesDetected: 0, machinesMissed: 0, amdFalsePositives: 0,
+            previewSkips: 0, carrierMinutes: 0,
+            channelTicks: 0, channelsInUse: 0, channelCapacity: 0, channelBoundTicks: 0,
+            dispositions: Object.fromEntries(Object.values(Disposition).map(d => [d, 0]))
         };
     }
 
     _createEmptyLifetimeStats() {
         return {
             totalDials: 0, totalContacts: 0, totalConversions: 0,
-            totalRevenue: 0, totalCosts: 0, daysPlayed: 0
+            totalRevenue: 0, totalCosts: 0, totalCapex: 0, daysPlayed: 0,
+            totalCallbacksKept: 0, totalCallbacksMissed: 0, totalDncViolations: 0,
+            totalCallingHoursViolations: 0, totalAbandonmentViolations: 0
         };
     }
 
@@ -76,24 +102,85 @@ export class GameState {
         return this.agents.filter(a => a.isWorking());
     }
 
-    adjustCash(amount) {
+    /**
+     * Move cash and record the transaction in the ledger.
+     * Capital spend (upgrades, unlocks) is tracked apart from operating costs.
+     * @param {number} amount - Signed amount (positive = cash in)
+     * @param {string} category - Ledger category (see LEDGER_CATEGORIES)
+     * @param {string|null} sourceId - Id of the object behind the movement
+     */
+    adjustCash(amount, category = 'uncategorized', sourceId = null) {
         this.cash += amount;
-        if (amount > 0) {
+
+        this.ledger.record({
+            amount,
+            category,
+            sourceId,
+            day: this.gameTime.day,
+            time: this.gameTime.totalMinutes,
+            cashAfter: this.cash
+        });
+
+        const kind = getCategoryKind(category, amount);
+        if (kind === 'capex') {
+            this.dailyStats.capex -= amount;
+            this.lifetimeStats.totalCapex -= amount;
+        } else if (kind === 'revenue') {
             this.dailyStats.revenue += amount;
             this.lifetimeStats.totalRevenue += amount;
         } else {
-            this.dailyStats.costs += Math.abs(amount);
-            this.lifetimeStats.totalCosts += Math.abs(amount);
+            this.dailyStats.costs -= amount;
+            this.lifetimeStats.totalCosts -= amount;
+        }
+    }
+
+    /**
+     * Combined multiplier of an effect type across all active events
+     * @param {string} effectType - e.g. 'dial_rate_multiplier'
+     * @returns {number}
+     */
+    getEventMultiplier(effectType) {
+        let multiplier = 1;
+        for (const event of this.activeEvents) {
+            for (const effect of event.effects) {
+                if (effect.type === effectType) multiplier *= effect.value;
+            }
+        }
+        return multiplier;
+    }
+
+    /**
+     * Floor-wide agent stat bonuses from upgrades, keyed by stat name
+     * @returns {Object}
+     */
+    getAgentStatBonuses() {
+        const bonuses = {};
+        for (const def of getEffectTypesForHook('agent_stats')) {
+            bonuses[def.stat] = (bonuses[def.stat] || 0) + (this.upgradeEffects[def.key] || 0);
         }
+        return bonuses;
+    }
+
+    /**
+     * Stats the simulation should use for an agent (base + training + upgrades + modifiers)
+     * @param {Agent} agent
+     * @returns {Object}
+     */
+    getEffectiveStats(agent) {
+        return agent.getEffectiveStats(this.getAgentStatBonuses());
     }
 
     adjustReputation(amount) {
         this.reputation = clamp(this.reputation + amount, 0, 100);
     }
 
-    recordDial() {
+    /**
+     * @param {boolean} isRepeat - Same lead already dialed today (over-dialing)
+     */
+    recordDial(isRepeat = false) {
         this.dailyStats.dials++;
         this.lifetimeStats.totalDials++;
+        if (isRepeat) this.dailyStats.repeatDials++;
     }
 
     recordContact() {
@@ -101,20 +188,198 @@ export class GameState {
         this.lifetimeStats.totalContacts++;
     }
 
-    recordConversion(revenue) {
+    recordConversion(revenue, leadId = null) {
         this.dailyStats.conversions++;
         this.lifetimeStats.totalConversions++;
-        this.adjustCash(revenue);
+        this.adjustCash(revenue, 'sales', leadId);
     }
 
     recordComplaint() {
         this.dailyStats.complaints++;
     }
 
-    recordAbandonment() {
+    /**
+     * Count a dial outcome
+     * @param {string} disposition - Disposition value
+     * @param {Lead|null} lead - Lead dialed, which keeps its latest outcome
+     */
+    recordDisposition(disposition, lead = null) {
+        this.dailyStats.dispositions[disposition] = (this.dailyStats.dispositions[disposition] || 0) + 1;
+        if (!lead) return;
+
+        lead.lastDisposition = disposition;
+        if (this.hasLeadScoring()) {
+            this.leadScoring.record(lead, lead.getLocalHour(this.gameTime.hour), disposition);
+        }
+    }
+
+    /**
+     * Whether the CRM is learning from outcomes (and learned-EV routing is open)
+     * @returns {boolean}
+     */
+    hasLeadScoring() {
+        return this.upgradeEffects.leadScoring > 0;
+    }
+
+    /**
+     * Pick how leads are routed to agents
+     * @param {string} strategy - RoutingStrategy value
+     * @returns {boolean}
+     */
+    setRoutingStrategy(strategy) {
+        if (strategy === RoutingStrategy.LEARNED_EV && !this.hasLeadScoring()) return false;
+        return this.leadPool.setRoutingStrategy(strategy);
+    }
+
+    /**
+     * Drop newly bought leads whose numbers are on a known DNC list,
+     * if the floor has a scrubbing upgrade
+     * @param {Lead[]} leads
+     * @returns {Lead[]} Leads removed
+     */
+    scrubLeads(leads) {
+        if (!(this.upgradeEffects.dncScrubbing > 0)) return [];
+
+        const { removed } = this.dnc.scrub(leads);
+        for (const lead of removed) {
+            this.leadPool.removeLead(lead.id);
+        }
+        return removed;
+    }
+
+    /**
+     * Fine the floor for a compliance violation and keep it in history
+     * @param {Object} params
+     * @param {string} params.type - 'dnc', 'calling_hours' or 'abandonment'
+     * @param {Lead|null} params.lead - Null for a floor-wide violation
+     * @param {Agent|null} params.agent - Null for a line a paced dialer launched
+     * @param {number} params.fine
+     * @param {number} params.reputationPenalty
+     * @param {Object} params.details - Extra fields kept with the violation (e.g. list, localHour)
+     * @returns {Object} The violation
+     */
+    recordViolation({ type, lead, agent, fine, reputationPenalty, details = {} }) {
+        if (type === 'dnc') {
+            this.dailyStats.dncViolations++;
+            this.lifetimeStats.totalDncViolations++;
+        } else if (type === 'calling_hours') {
+            this.dailyStats.callingHoursViolations++;
+            this.lifetimeStats.totalCallingHoursViolations++;
+        } else if (type === 'abandonment') {
+            this.dailyStats.abandonmentViolations++;
+            this.lifetimeStats.totalAbandonmentViolations++;
+        }
+        if (fine > 0) this.adjustCash(-fine, 'compliance_fines', lead?.id ?? null);
+        this.adjustReputation(-reputationPenalty);
+
+        const violation = {
+            type,
+            day: this.gameTime.day,
+            time: this.gameTime.totalMinutes,
+            leadId: lead?.id ?? null,
+            phone: lead?.phone ?? null,
+            agentId: agent?.id ?? null,
+            fine,
+            ...details
+        };
+        this.violations.push(violation);
+        if (this.violations.length > this.violationHistoryLimit) {
+            this.violations.shift();
+        }
+        return violation;
+    }
+
+    /**
+     * Count a call a person picked up, the base the abandonment rate is measured on
+     */
+    recordAnswered() {
+        this.dailyStats.answered++;
+        this.abandonment.recordAnswered();
+    }
+
+    /**
+     * @param {number} weight - Share counted toward the regulatory rate (less with a safe-harbor message)
+     */
+    recordAbandonment(weight = 1) {
         this.dailyStats.abandonments++;
+        this.abandonment.recordAbandoned(weight);
     }
 
+    /**
+     * Set how many calls can be up at once
+     * @param {number} channels - Whole number, at least 1
+     * @returns {boolean}
+     */
+    setTrunkChannels(channels) {
+        if (!Number.isInteger(channels) || channels < 1) return false;
+        this.trunkChannels = channels;
+        return true;
+    }
+
+    /**
+     * @param {number} minutes - Connected talk time, billed in whole minutes
+     */
+    recordCarrierMinutes(minutes) {
+        this.dailyStats.carrierMinutes += minutes;
+    }
+
+    /**
+     * Sample channel usage for a tick
+     * @param {number} inUse - Channels holding a line or call
+     * @param {number} capacity - Channels on the trunk
+     * @param {boolean} heldBack - A dial waited for a free channel
+     */
+    recordChannelUsage(inUse, capacity, heldBack) {
+        this.dailyStats.channelTicks++;
+        this.dailyStats.channelsInUse += inUse;
+        this.dailyStats.channelCapacity += capacity;
+        if (heldBack) this.dailyStats.channelBoundTicks++;
+    }
+
+    recordPreviewSkip() {
+        this.dailyStats.previewSkips++;
+    }
+
+    /**
+     * Count an answering-machine detection outcome
+     * @param {string} result - 'detected', 'missed' (an agent got the machine) or 'false_positive'
+     */
+    recordAmdResult(result) {
+        if (result === 'detected') this.dailyStats.machinesDetected++;
+        else if (result === 'missed') this.dailyStats.machinesMissed++;
+        else if (result === 'false_positive') this.dailyStats.amdFalsePositives++;
+    }
+
+    /**
+     * Record a scheduled callback that was dialed on time (kept) or not (missed)
+     * @param {boolean} kept
+     */
+    recordCallback(kept) {
+        if (kept) {
+            this.dailyStats.callbacksKept++;
+            this.lifetimeStats.totalCallbacksKept++;
+        } else {
+            this.dailyStats.callbacksMissed++;
+            this.lifetimeStats.totalCallbacksMissed++;
+        }
+    }
+
+    /**
+     * Share of due callbacks that were made on time
+     * @param {boolean} lifetime - Lifetime instead of today
+     * @returns {number|null} 0-1, or null if no callbacks have come due
+     */
+    getCallbackAdherence(lifetime = false) {
+        const kept = lifetime ? this.lifetimeStats.totalCallbacksKept : this.dailyStats.callbacksKept;
+        const missed = lifetime ? this.lifetimeStats.totalCallbacksMissed : this.dailyStats.callbacksMissed;
+        return kept + missed > 0 ? kept / (kept + missed) : null;
+    }
+
+    /**
+     * Advance the clock. Rolling over at midnight is left to
+     * SimulationEngine.closeDay() so day-close costs are charged first.
+     * @param {number} minutes
+     */
     advanceTime(minutes = 1) {
         this.gameTime.minute += minutes;
         this.gameTime.totalMinutes += minutes;
@@ -123,10 +388,6 @@ export class GameState {
             this.gameTime.minute -= 60;
             this.gameTime.hour++;
         }
-
-        if (this.gameTime.hour >= 24) {
-            this.endDay();
-        }
     }
 
     endDay() {
@@ -138,18 +399,57 @@ export class GameState {
             agent.fatigue = Math.max(0, agent.fatigue - 0.3);
         }
 
+        this.leadPool.restockSources();
+
+        // Run the clock through the night so a game day is always MINUTES_PER_DAY
+        this.gameTime.totalMinutes += (24 - this.gameTime.hour) * 60 - this.gameTime.minute + 9 * 60;
         this.gameTime.day++;
         this.gameTime.hour = 9;
         this.gameTime.minute = 0;
+        this.leadPool.reprioritize();
 
         const oldStats = { ...this.dailyStats };
         this.dailyStats = this._createEmptyDailyStats();
+        this.ledger.openDay(this.gameTime.day, this.cash);
 
         return oldStats;
     }
 
     isWorkHours() {
-        return this.gameTime.hour >= 9 && this.gameTime.hour < 17;
+        return this.gameTime.hour >= this.shift.startHour && this.gameTime.hour < this.shift.endHour;
+    }
+
+    /**
+     * Set the floor's shift. A day starts at 9:00 and ends at midnight,
+     * so the shift must fit in between.
+     * @param {number} startHour
+     * @param {number} endHour
+     * @returns {boolean} True if the shift was valid
+     */
+    setShift(startHour, endHour) {
+        if (startHour < 9 || endHour > 24 || startHour >= endHour) return false;
+        this.shift = { startHour, endHour };
+        return true;
+    }
+
+    getShiftHours() {
+        return this.shift.endHour - this.shift.startHour;
+    }
+
+    /**
+     * Earliest game time at or after `totalMinutes` that falls in work hours
+     * (each game day's totalMinutes start at 9:00)
+     * @param {number} totalMinutes
+     * @param {number} graceMinutes - Times within this many minutes of the shift end roll to the next shift
+     * @returns {number}
+     */
+    toWorkHours(totalMinutes, graceMinutes = 0) {
+        const dayStart = Math.floor(totalMinutes / MINUTES_PER_DAY) * MINUTES_PER_DAY;
+        const shiftStart = dayStart + (this.shift.startHour - 9) * 60;
+        const shiftEnd = dayStart + (this.shift.endHour - 9) * 60 - graceMinutes;
+
+        if (totalMinutes < shiftStart) return shiftStart;
+        return totalMinutes < shiftEnd ? totalMinutes : shiftStart + MINUTES_PER_DAY;
     }
 
     getUpgradeLevel(upgradeId) {
@@ -162,17 +462,29 @@ export class GameState {
 
     toJSON() {
         return {
-            version: 1,
+            version: SAVE_VERSION,
             cash: this.cash,
             reputation: this.reputation,
             agents: this.agents.map(a => a.toJSON()),
             nextAgentId: this.nextAgentId,
             leadPool: this.leadPool.toJSON(),
+            leadScoring: this.leadScoring.toJSON(),
+            callbacks: this.callbacks.toJSON(),
+            dnc: this.dnc.toJSON(),
+            callerIds: this.callerIds.toJSON(),
+            trunkChannels: this.trunkChannels,
+            abandonment: this.abandonment.toJSON(),
+            violations: this.violations.map(v => ({ ...v })),
+            shift: { ...this.shift },
             dialerManager: this.dialerManager.toJSON(),
             upgrades: Object.fromEntries(this.upgrades),
             gameTime: { ...this.gameTime },
-            dailyStats: { ...this.dailyStats },
+            dailyStats: { ...this.dailyStats, dispositions: { ...this.dailyStats.dispositions } },
             lifetimeStats: { ...this.lifetimeStats },
+            ledger: this.ledger.toJSON(),
+            activeEvents: this.activeEvents.map(e => ({ ...e })),
+            eventHistory: [...this.eventHistory],
+            pendingDecisions: this.pendingDecisions.map(d => ({ ...d })),
             savedAt: Date.now()
         };
     }
@@ -184,17 +496,40 @@ export class GameState {
         this.agents = (data.agents || []).map(a => Agent.fromJSON(a));
         this.nextAgentId = data.nextAgentId || this.agents.length + 1;
 
+        this.leadScoring.loadFromJSON(data.leadScoring);
         if (data.leadPool && configs.leadSources) {
             this.leadPool.loadFromJSON(data.leadPool, configs.leadSources);
         }
 
+        this.callbacks = new CallbackQueue();
+        if (data.callbacks) this.callbacks.loadFromJSON(data.callbacks);
+        this.dnc = new DNCRegistry();
+        if (data.dnc) this.dnc.loadFromJSON(data.dnc);
+        this.callerIds = new CallerIdPool();
+        if (data.callerIds) this.callerIds.loadFromJSON(data.callerIds);
+        this.trunkChannels = data.trunkChannels ?? null; // saves from before trunk capacity stay uncapped
+        this.abandonment = new AbandonmentMonitor();
+        if (data.abandonment) this.abandonment.loadFromJSON(data.abandonment);
+        this.violations = (data.violations || []).map(v => ({ ...v }));
+
         if (data.dialerManager && configs.dialers) {
             this.dialerManager.loadFromJSON(data.dialerManager, configs.dialers);
         }
 
         this.upgrades = new Map(Object.entries(data.upgrades || {}));
         this.gameTime = data.gameTime || { day: 1, hour: 9, minute: 0, totalMinutes: 0 };
-        this.dailyStats = data.dailyStats || this._createEmptyDailyStats();
-        this.lifetimeStats = data.lifetimeStats || this._createEmptyLifetimeStats();
+        this.shift = data.shift ? { ...data.shift } : { startHour: 9, endHour: 17 };
+        const emptyDaily = this._createEmptyDailyStats();
+        this.dailyStats = {
+            ...emptyDaily,
+            ...data.dailyStats,
+            dispositions: { ...emptyDaily.dispositions, ...data.dailyStats?.dispositions }
+        };
+        this.lifetimeStats = { ...this._createEmptyLifetimeStats(), ...data.lifetimeStats };
+        this.ledger = new Ledger();
+        if (data.ledger) this.ledger.loadFromJSON(data.ledger);
+        this.activeEvents = data.activeEvents || [];
+        this.eventHistory = data.eventHistory || [];
+        this.pendingDecisions = data.pendingDecisions || [];
     }
 }
@@ -3,7 +3,73 @@
  * Manages lead generation, quality, and lifecycle.
  */
 
-import { clamp } from '../balance/Formulas.js';
+import { clamp, pickWeighted } from '../balance/Formulas.js';
+import { LeadIndex } from './LeadIndex.js';
+
+/** Game minutes in a game day (GameState keeps totalMinutes on a 24h clock) */
+export const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Outcome of a single dial
+ * @enum {string}
+ */
+export const Disposition = {
+    NO_ANSWER: 'no_answer',
+    BUSY: 'busy',
+    VOICEMAIL: 'voicemail',
+    WRONG_NUMBER: 'wrong_number',
+    NOT_INTERESTED: 'not_interested',
+    CALLBACK_REQUESTED: 'callback_requested',
+    DNC_REQUEST: 'dnc_request',
+    SALE: 'sale',
+    ABANDONED: 'abandoned' // answered, but no agent was free to take the call
+};
+
+/**
+ * US time zones leads live in. offset is hours from the call center's clock (Eastern).
+ */
+export const TIME_ZONES = {
+    eastern: { name: 'Eastern', offset: 0, areaCodes: ['212', '305', '404', '617', '704'] },
+    central: { name: 'Central', offset: -1, areaCodes: ['312', '214', '512', '615', '816'] },
+    mountain: { name: 'Mountain', offset: -2, areaCodes: ['303', '480', '505', '801'] },
+    pacific: { name: 'Pacific', offset: -3, areaCodes: ['213', '415', '503', '619', '206'] }
+};
+
+/** Default share of leads per time zone, roughly by population */
+const DEFAULT_TIME_ZONE_WEIGHTS = { eastern: 0.47, central: 0.29, mountain: 0.07, pacific: 0.17 };
+
+/**
+ * Redial rules used when a lead source doesn't set its own
+ * maxAttempts: dials before an unreached lead is exhausted
+ * maxRedials: extra dials allowed once the lead has been reached
+ * minGapMinutes: shortest time between two dials to the same lead
+ * retryHours: local hours retries may be made in (empty = any)
+ * dailyAttemptCap: most dials to one lead in a game day (null = no cap)
+ */
+export const DEFAULT_CADENCE = {
+    maxAttempts: 3,
+    maxRedials: 2,
+    minGapMinutes: 0,
+    retryHours: [],
+    dailyAttemptCap: null
+};
+
+/** Local hours a consumer may legally be called: [startHour, endHour) */
+export const CALLING_HOURS = { startHour: 8, endHour: 21 };
+
+/**
+ * Generate a random US-style phone number
+ * @param {function} randomFn - Random number generator function
+ * @param {string|null} areaCode - Area code to use, random if null
+ * @returns {string} e.g. '415-555-0123'
+ */
+export function generatePhoneNumber(randomFn, areaCode = null) {
+    const digit = (min = 0) => min + Math.floor(randomFn() * (10 - min));
+    areaCode = areaCode ?? `${digit(2)}${digit()}${digit()}`;
+    const exchange = `${digit(2)}${digit()}${digit()}`;
+    const line = `${digit()}${digit()}${digit()}${digit()}`;
+    return `${areaCode}-${exchange}-${line}`;
+}
 
 /**
  * Lead Source - Configuration for where leads come from
@@ -22,9 +88,14 @@ export class LeadSource {
         this.intentMultiplier = config.intentMultiplier || 1.0;
         this.freshnessDecayPerDay = config.freshnessDecayPerDay || 0.01;
         this.complianceRisk = config.complianceRisk || 0.1;
+        this.nationalDncRate = config.nationalDncRate ?? 0.08; // Share of numbers on the national DNC list
+        this.timeZoneWeights = config.timeZoneWeights || DEFAULT_TIME_ZONE_WEIGHTS;
+        this.cadence = { ...DEFAULT_CADENCE, ...config.cadence };
 
         // Supply
         this.supplyPerDay = config.supplyPerDay || 100;
+        this.maxInventoryDays = config.maxInventoryDays || 2;
+        this.inventory = this.supplyPerDay;
 
         // Base probabilities
         this.baseAnswerProbability = config.baseAnswerProbability || 0.18;
@@ -42,9 +113,13 @@ export class LeadSource {
      * Create a lead from this source
      * @param {string} leadId 
      * @param {function} randomFn 
+     * @param {Object} overrides - Lead fields that replace the source's values (e.g. createdAt)
      * @returns {Lead}
      */
-    generateLead(leadId, randomFn = Math.random) {
+    generateLead(leadId, randomFn = Math.random, overrides = {}) {
+        const timeZone = overrides.timeZone ?? (pickWeighted(this.timeZoneWeights, randomFn) || 'eastern');
+        const areaCodes = TIME_ZONES[timeZone].areaCodes;
+
         return new Lead({
             id: leadId,
             sourceId: this.id,
@@ -53,18 +128,82 @@ export class LeadSource {
             intentMultiplier: this.intentMultiplier,
             complianceRisk: this.complianceRisk,
             freshnessDecayPerDay: this.freshnessDecayPerDay,
-            createdAt: Date.now(),
-            randomFn
+            onNationalDnc: randomFn() < this.nationalDncRate,
+            timeZone,
+            phone: generatePhoneNumber(randomFn, areaCodes[Math.floor(randomFn() * areaCodes.length)]),
+            maxDialAttempts: this.cadence.maxAttempts,
+            maxRedials: this.cadence.maxRedials,
+            randomFn,
+            ...overrides
         });
     }
 
+    /**
+     * Whether this source's cadence allows another dial to a lead now.
+     * First dials are always allowed; retries must respect the gap, the
+     * same-day cap and the retry hours.
+     * @param {Lead} lead
+     * @param {number} now - Game time in total minutes
+     * @param {number} localHour - Hour on the lead's clock
+     * @returns {boolean}
+     */
+    allowsAttempt(lead, now, localHour) {
+        if (lead.dialAttempts === 0) return true;
+        return now >= this.getNextAttemptAt(lead) && this.isRetryHour(localHour);
+    }
+
+    /**
+     * Earliest game time the cadence's gap and same-day cap allow the next dial
+     * @param {Lead} lead
+     * @returns {number} Game time in total minutes (-Infinity if never dialed)
+     */
+    getNextAttemptAt(lead) {
+        if (lead.dialAttempts === 0) return -Infinity;
+
+        const { minGapMinutes, dailyAttemptCap } = this.cadence;
+        let dueAt = lead.lastDialedAt + minGapMinutes;
+        if (dailyAttemptCap !== null && lead.attemptsToday >= dailyAttemptCap) {
+            dueAt = Math.max(dueAt, (lead.attemptDay + 1) * MINUTES_PER_DAY);
+        }
+        return dueAt;
+    }
+
+    /**
+     * @param {number} localHour - Hour on the lead's clock
+     * @returns {boolean} True if retries may be made in this hour
+     */
+    isRetryHour(localHour) {
+        return this.cadence.retryHours.length === 0 || this.cadence.retryHours.includes(localHour);
+    }
+
+    /**
+     * Check if this source can be unlocked given already-unlocked sources
+     * @param {Set<string>} unlockedSources
+     * @returns {boolean}
+     */
+    canUnlock(unlockedSources) {
+        if (this.unlocked) return false;
+        return this.prerequisites.every(prereq => unlockedSources.has(prereq));
+    }
+
+    /**
+     * Add a day's supply to inventory, up to maxInventoryDays worth
+     */
+    restock() {
+        this.inventory = Math.min(
+            this.inventory + this.supplyPerDay,
+            this.supplyPerDay * this.maxInventoryDays
+        );
+    }
+
     /**
      * Serialize for saving
      */
     toJSON() {
         return {
             id: this.id,
-            unlocked: this.unlocked
+            unlocked: this.unlocked,
+            inventory: this.inventory
         };
     }
 }
@@ -81,11 +220,19 @@ export class Lead {
         intentMultiplier = 1.0,
         complianceRisk = 0.1,
         freshnessDecayPerDay = 0.01,
-        createdAt = Date.now(),
+        createdAt = 0,
+        phone = null,
+        onNationalDnc = false,
+        timeZone = 'eastern',
+        maxDialAttempts = DEFAULT_CADENCE.maxAttempts,
+        maxRedials = DEFAULT_CADENCE.maxRedials,
         randomFn = Math.random
     }) {
         this.id = id;
         this.sourceId = sourceId;
+        this.timeZone = TIME_ZONES[timeZone] ? timeZone : 'eastern';
+        this.phone = phone ?? generatePhoneNumber(randomFn, TIME_ZONES[this.timeZone].areaCodes[0]);
+        this.onNationalDnc = onNationalDnc;
 
         // Base probabilities with slight variance
         const variance = 0.1;
@@ -103,18 +250,29 @@ export class Lead {
         this.complianceRisk = complianceRisk;
         this.freshnessDecayPerDay = freshnessDecayPerDay;
 
-        // Timing
+        // Timing (game minutes, GameState.gameTime.totalMinutes)
         this.createdAt = createdAt;
         this.lastDialedAt = null;
         this.dialAttempts = 0;
-        this.maxDialAttempts = 3;
+        this.maxDialAttempts = maxDialAttempts;
+        this.maxRedials = maxRedials;
+        this.attemptDay = null; // game day of attemptsToday
+        this.attemptsToday = 0;
+        this.skippedUntil = null; // held out of dialing after an agent skipped it in preview
 
         // Contact window (prefer certain hours)
         this.preferredHours = this._generatePreferredHours(randomFn);
 
         // Status
-        this.status = 'fresh'; // fresh, contacted, converted, exhausted, dnc
+        this.status = 'fresh'; // fresh, contacted, callback, converted, exhausted, invalid, dnc
         this.convertedAt = null;
+        this.lastDisposition = null; // Disposition of the latest dial
+
+        // Multiplier on conversion odds, lowered by missed callbacks
+        this.conversionDecay = 1;
+
+        // Called after any change to status, attempts or value (set by LeadPool)
+        this.onChange = null;
     }
 
     /**
@@ -141,18 +299,38 @@ export class Lead {
     }
 
     /**
-     * Get current freshness (decays over time)
+     * Get current freshness (decays over game days)
+     * @param {number} now - Current game time in total minutes
      * @returns {number} 0-1 freshness score
      */
-    getFreshness() {
-        const daysSinceCreated = (Date.now() - this.createdAt) / (1000 * 60 * 60 * 24);
+    getFreshness(now) {
+        const daysSinceCreated = Math.max(0, now - this.createdAt) / MINUTES_PER_DAY;
         const decay = daysSinceCreated * this.freshnessDecayPerDay;
         return clamp(1 - decay, 0.2, 1);
     }
 
     /**
-     * Get time-of-day multiplier for current hour
-     * @param {number} hourOfDay 
+     * Hour on the lead's own clock
+     * @param {number} centerHour - Hour on the call center's clock (0-23)
+     * @returns {number} 0-23
+     */
+    getLocalHour(centerHour) {
+        return (centerHour + TIME_ZONES[this.timeZone].offset + 24) % 24;
+    }
+
+    /**
+     * Whether the lead may legally be called right now
+     * @param {number} centerHour - Hour on the call center's clock (0-23)
+     * @returns {boolean}
+     */
+    isWithinCallingHours(centerHour) {
+        const localHour = this.getLocalHour(centerHour);
+        return localHour >= CALLING_HOURS.startHour && localHour < CALLING_HOURS.endHour;
+    }
+
+    /**
+     * Get time-of-day multiplier for the lead's local hour
+     * @param {number} hourOfDay - Local hour (0-23)
      * @returns {number}
      */
     getTimeMultiplier(hourOfDay) {
@@ -168,12 +346,28 @@ export class Lead {
 
     /**
      * Calculate effective answer probability
-     * @param {number} hourOfDay 
+     * @param {number} hourOfDay - Hour on the call center's clock
+     * @param {number} now - Current game time in total minutes
+     * @returns {number}
+     */
+    getAnswerProbability(hourOfDay, now) {
+        return this._calculateAnswerProbability(this.getTimeMultiplier(this.getLocalHour(hourOfDay)), now);
+    }
+
+    /**
+     * Expected value of dialing, ignoring time of day (LeadPool queue priority)
+     * @param {number} now - Current game time in total minutes
      * @returns {number}
      */
-    getAnswerProbability(hourOfDay) {
-        const freshness = this.getFreshness();
-        const timeFactor = this.getTimeMultiplier(hourOfDay);
+    getPriority(now) {
+        return this._calculateAnswerProbability(1, now) * this.getConversionProbability(now);
+    }
+
+    /**
+     * @private
+     */
+    _calculateAnswerProbability(timeFactor, now) {
+        const freshness = this.getFreshness(now);
 
         // Each dial attempt reduces answer probability
         const dialPenalty = Math.pow(0.8, this.dialAttempts);
@@ -186,12 +380,13 @@ export class Lead {
 
     /**
      * Calculate effective conversion probability
+     * @param {number} now - Current game time in total minutes
      * @returns {number}
      */
-    getConversionProbability() {
-        const freshness = this.getFreshness();
+    getConversionProbability(now) {
+        const freshness = this.getFreshness(now);
         return clamp(
-            this.baseConversionProbability * this.intentMultiplier * freshness,
+            this.baseConversionProbability * this.intentMultiplier * freshness * this.conversionDecay,
             0.01, 0.5
         );
     }
@@ -210,20 +405,42 @@ export class Lead {
      * @returns {boolean}
      */
     isRedialable() {
-        return this.status === 'contacted' && this.dialAttempts < this.maxDialAttempts + 2;
+        return this.status === 'contacted' && this.dialAttempts < this.maxDialAttempts + this.maxRedials;
+    }
+
+    /**
+     * Dials made to this lead on the game day containing `now`
+     * @param {number} now - Game time in total minutes
+     * @returns {number}
+     */
+    getAttemptsOn(now) {
+        return this.attemptDay === Math.floor(now / MINUTES_PER_DAY) ? this.attemptsToday : 0;
     }
 
     /**
      * Record a dial attempt
-     * @param {number} timestamp
+     * @param {number} timestamp - Game time in total minutes
      */
-    recordDial(timestamp = Date.now()) {
+    recordDial(timestamp) {
+        this.attemptsToday = this.getAttemptsOn(timestamp) + 1;
+        this.attemptDay = Math.floor(timestamp / MINUTES_PER_DAY);
         this.dialAttempts++;
         this.lastDialedAt = timestamp;
 
-        if (this.dialAttempts >= this.maxDialAttempts) {
+        const limit = this.status === 'contacted' ? this.maxDialAttempts + this.maxRedials : this.maxDialAttempts;
+        if (this.dialAttempts >= limit) {
             this.status = 'exhausted';
         }
+        this.onChange?.(this);
+    }
+
+    /**
+     * Put the lead back in the pool without dialing it
+     * @param {number} until - Game time in total minutes before it can come up again
+     */
+    skip(until) {
+        this.skippedUntil = until;
+        this.onChange?.(this);
     }
 
     /**
@@ -231,15 +448,51 @@ export class Lead {
      */
     recordContact() {
         this.status = 'contacted';
+        this.onChange?.(this);
     }
 
     /**
      * Record conversion
-     * @param {number} timestamp
+     * @param {number} timestamp - Game time in total minutes
      */
-    recordConversion(timestamp = Date.now()) {
+    recordConversion(timestamp) {
         this.status = 'converted';
         this.convertedAt = timestamp;
+        this.onChange?.(this);
+    }
+
+    /**
+     * Hold the lead for a scheduled callback (kept out of normal dialing)
+     */
+    scheduleCallback() {
+        this.status = 'callback';
+        this.onChange?.(this);
+    }
+
+    /**
+     * Release a callback lead for its callback dial
+     */
+    startCallback() {
+        if (this.status === 'callback') this.status = 'contacted';
+        this.onChange?.(this);
+    }
+
+    /**
+     * Return a lead whose callback was missed to the redial pool, less likely to buy
+     * @param {number} decay - Multiplier applied to conversion odds
+     */
+    missCallback(decay) {
+        this.conversionDecay *= decay;
+        if (this.status === 'callback') this.status = 'contacted';
+        this.onChange?.(this);
+    }
+
+    /**
+     * Retire a lead whose number reached the wrong person
+     */
+    markInvalid() {
+        this.status = 'invalid';
+        this.onChange?.(this);
     }
 
     /**
@@ -247,6 +500,7 @@ export class Lead {
      */
     markDNC() {
         this.status = 'dnc';
+        this.onChange?.(this);
     }
 
     /**
@@ -256,6 +510,9 @@ export class Lead {
         return {
             id: this.id,
             sourceId: this.sourceId,
+            phone: this.phone,
+            onNationalDnc: this.onNationalDnc,
+            timeZone: this.timeZone,
             baseAnswerProbability: this.baseAnswerProbability,
             baseConversionProbability: this.baseConversionProbability,
             intentMultiplier: this.intentMultiplier,
@@ -265,9 +522,15 @@ export class Lead {
             lastDialedAt: this.lastDialedAt,
             dialAttempts: this.dialAttempts,
             maxDialAttempts: this.maxDialAttempts,
+            maxRedials: this.maxRedials,
+            attemptDay: this.attemptDay,
+            attemptsToday: this.attemptsToday,
+            skippedUntil: this.skippedUntil,
             preferredHours: this.preferredHours,
             status: this.status,
-            convertedAt: this.convertedAt
+            convertedAt: this.convertedAt,
+            lastDisposition: this.lastDisposition,
+            conversionDecay: this.conversionDecay
         };
     }
 
@@ -283,27 +546,88 @@ export class Lead {
             intentMultiplier: data.intentMultiplier,
             complianceRisk: data.complianceRisk,
             freshnessDecayPerDay: data.freshnessDecayPerDay,
-            createdAt: data.createdAt
+            createdAt: data.createdAt,
+            phone: data.phone,
+            onNationalDnc: data.onNationalDnc ?? false,
+            timeZone: data.timeZone
         });
 
         lead.lastDialedAt = data.lastDialedAt;
         lead.dialAttempts = data.dialAttempts;
         lead.maxDialAttempts = data.maxDialAttempts;
+        lead.maxRedials = data.maxRedials ?? DEFAULT_CADENCE.maxRedials;
+        lead.attemptDay = data.attemptDay ?? null;
+        lead.attemptsToday = data.attemptsToday ?? 0;
+        lead.skippedUntil = data.skippedUntil ?? null;
         lead.preferredHours = data.preferredHours;
         lead.status = data.status;
         lead.convertedAt = data.convertedAt;
+        lead.lastDisposition = data.lastDisposition ?? null;
+        lead.conversionDecay = data.conversionDecay ?? 1;
 
         return lead;
     }
 }
 
 /**
- * Lead Pool Manager - Manages inventory of leads
+ * How the pool picks the next lead to dial
+ * @enum {string}
+ */
+export const RoutingStrategy = {
+    LEAD_SCORE: 'lead_score',  // best-looking queue head, spread once there are many queues
+    FIFO: 'fifo',              // longest in the pool first
+    NEWEST: 'newest',          // newest in the pool first
+    LEARNED_EV: 'learned_ev',  // highest expected value learned from outcomes
+    ROUND_ROBIN: 'round_robin' // sources take turns, best lead of each
+};
+
+/** LeadIndex queue order each strategy needs */
+const ROUTING_QUEUE_ORDERS = {
+    [RoutingStrategy.LEAD_SCORE]: 'priority',
+    [RoutingStrategy.FIFO]: 'oldest',
+    [RoutingStrategy.NEWEST]: 'newest',
+    [RoutingStrategy.LEARNED_EV]: 'priority',
+    [RoutingStrategy.ROUND_ROBIN]: 'priority'
+};
+
+/**
+ * Item with the highest value
+ * @param {Object[]} items
+ * @param {function} value - (item) => number
+ * @returns {Object}
+ */
+function highestBy(items, value) {
+    let best = items[0];
+    let bestValue = value(best);
+    for (let i = 1; i < items.length; i++) {
+        const itemValue = value(items[i]);
+        if (itemValue > bestValue) {
+            best = items[i];
+            bestValue = itemValue;
+        }
+    }
+    return best;
+}
+
+/**
+ * Lead Pool Manager - Manages inventory of leads.
+ * Leads are indexed by status and dialing queue (see LeadIndex), so selection
+ * and stats don't scan the pool. Anything that changes a lead outside the
+ * Lead methods must call refreshLead().
  */
 export class LeadPool {
-    constructor() {
+    /**
+     * @param {function} clock - Returns current game time in total minutes
+     * @param {LeadScoringModel|null} scoring - Learned rates for learned-EV routing
+     */
+    constructor(clock = () => 0, scoring = null) {
+        this.now = clock;
+        this.scoring = scoring;
         this.leads = new Map(); // id -> Lead
         this.sources = new Map(); // id -> LeadSource
+        this.index = new LeadIndex(sourceId => this.sources.get(sourceId));
+        this.routingStrategy = RoutingStrategy.LEAD_SCORE;
+        this.lastRoutedSourceId = ''; // round-robin position
         this.nextLeadId = 1;
     }
 
@@ -323,14 +647,55 @@ export class LeadPool {
         return Array.from(this.sources.values()).filter(s => s.unlocked);
     }
 
+    /**
+     * Get all sources, cheapest tier first
+     * @returns {LeadSource[]}
+     */
+    getAllSources() {
+        return Array.from(this.sources.values()).sort((a, b) => a.tier - b.tier);
+    }
+
+    /**
+     * Check if a source's prerequisites are unlocked
+     * @param {string} sourceId
+     * @returns {boolean}
+     */
+    canUnlockSource(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source) return false;
+        const unlockedSet = new Set(this.getUnlockedSources().map(s => s.id));
+        return source.canUnlock(unlockedSet);
+    }
+
+    /**
+     * Unlock a source if its prerequisites are met
+     * @param {string} sourceId
+     * @returns {boolean}
+     */
+    unlockSource(sourceId) {
+        if (!this.canUnlockSource(sourceId)) return false;
+        this.sources.get(sourceId).unlocked = true;
+        return true;
+    }
+
+    /**
+     * Replenish every source's inventory for a new day
+     */
+    restockSources() {
+        for (const source of this.sources.values()) {
+            source.restock();
+        }
+    }
+
     /**
      * Add leads from a source
      * @param {string} sourceId 
      * @param {number} count 
      * @param {function} randomFn 
+     * @param {Object} overrides - Lead fields that replace the source's values
      * @returns {Lead[]}
      */
-    generateLeads(sourceId, count, randomFn = Math.random) {
+    generateLeads(sourceId, count, randomFn = Math.random, overrides = {}) {
         const source = this.sources.get(sourceId);
         if (!source || !source.unlocked) {
             return [];
@@ -338,19 +703,58 @@ export class LeadPool {
 
         const newLeads = [];
         for (let i = 0; i < count; i++) {
-            const lead = source.generateLead(`lead_${this.nextLeadId++}`, randomFn);
-            this.leads.set(lead.id, lead);
-            newLeads.push(lead);
+            newLeads.push(this.createLead(source, randomFn, overrides));
         }
         return newLeads;
     }
 
+    /**
+     * Create one lead from a source and add it to the pool, whether or not
+     * the source is unlocked (e.g. leads imported from a list)
+     * @param {LeadSource} source
+     * @param {function} randomFn
+     * @param {Object} overrides - Lead fields that replace the source's values
+     * @returns {Lead}
+     */
+    createLead(source, randomFn = Math.random, overrides = {}) {
+        const lead = source.generateLead(`lead_${this.nextLeadId++}`, randomFn, {
+            createdAt: this.now(),
+            ...overrides
+        });
+        this._track(lead);
+        return lead;
+    }
+
+    /**
+     * Re-index a lead after changing its fields directly
+     * @param {Lead} lead
+     */
+    refreshLead(lead) {
+        this.index.update(lead, this.now());
+    }
+
+    /**
+     * Recompute dialing priorities as leads age (once per game day)
+     */
+    reprioritize() {
+        this.index.rebuild(this.now());
+    }
+
+    /**
+     * @private
+     */
+    _track(lead) {
+        this.leads.set(lead.id, lead);
+        lead.onChange = changed => this.index.update(changed, this.now());
+        this.index.add(lead, this.now());
+    }
+
     /**
      * Get all dialable leads (fresh)
      * @returns {Lead[]}
      */
     getDialableLeads() {
-        return Array.from(this.leads.values()).filter(l => l.isDialable());
+        return Array.from(this.index.getByStatus('fresh')).filter(l => l.isDialable());
     }
 
     /**
@@ -358,45 +762,79 @@ export class LeadPool {
      * @returns {Lead[]}
      */
     getRedialableLeads() {
-        return Array.from(this.leads.values()).filter(l => l.isRedialable());
+        return Array.from(this.index.getByStatus('contacted')).filter(l => l.isRedialable());
+    }
+
+    /**
+     * Change how the next lead is picked
+     * @param {string} strategy - RoutingStrategy value
+     * @returns {boolean} False for an unknown strategy, or learned EV without a scoring model
+     */
+    setRoutingStrategy(strategy) {
+        if (!ROUTING_QUEUE_ORDERS[strategy]) return false;
+        if (strategy === RoutingStrategy.LEARNED_EV && !this.scoring) return false;
+
+        this.routingStrategy = strategy;
+        this.index.setOrder(ROUTING_QUEUE_ORDERS[strategy], this.now());
+        return true;
     }
 
     /**
-     * Get a lead to dial (prioritizes fresher, higher intent)
-     * @param {number} hourOfDay
+     * Get a lead to dial under the routing strategy. Leads outside their local
+     * calling hours, or not yet due under their source's cadence, are skipped.
+     * Redials are only used once no fresh lead can be dialed.
+     * @param {number} hourOfDay - Hour on the call center's clock
      * @param {function} randomFn
      * @returns {Lead|null}
      */
     getNextLead(hourOfDay, randomFn = Math.random) {
-        let dialable = this.getDialableLeads();
-        let isRedial = false;
-
-        // If no fresh leads, fall back to redialing contacted leads
-        if (dialable.length === 0) {
-            dialable = this.getRedialableLeads();
-            isRedial = true;
-            if (dialable.length === 0) return null;
-        }
+        return this.index.select(hourOfDay, this.now(), candidates => this._route(candidates, hourOfDay, randomFn));
+    }
 
-        // Score leads by expected value
-        const scored = dialable.map(lead => {
-            let score = lead.getAnswerProbability(hourOfDay) * lead.getConversionProbability();
-            // Redials have lower priority and success rate
-            if (isRedial) {
-                score *= 0.6; // 40% penalty for redials
+    /**
+     * Pick among the best lead of each dialing queue
+     * @private
+     * @param {Object[]} candidates - Items of { lead, seq, sourceId }
+     */
+    _route(candidates, hourOfDay, randomFn) {
+        const now = this.now();
+        const score = ({ lead }) => lead.getAnswerProbability(hourOfDay, now) * lead.getConversionProbability(now);
+
+        switch (this.routingStrategy) {
+            case RoutingStrategy.FIFO:
+                return highestBy(candidates, c => -c.seq).lead;
+            case RoutingStrategy.NEWEST:
+                return highestBy(candidates, c => c.seq).lead;
+            case RoutingStrategy.LEARNED_EV:
+                return highestBy(candidates, c => this.scoring.getExpectedValue(c.lead, hourOfDay, now)).lead;
+            case RoutingStrategy.ROUND_ROBIN: {
+                const sourceIds = Array.from(new Set(candidates.map(c => c.sourceId))).sort();
+                const sourceId = sourceIds.find(id => id > this.lastRoutedSourceId) ?? sourceIds[0];
+                this.lastRoutedSourceId = sourceId;
+                return highestBy(candidates.filter(c => c.sourceId === sourceId), score).lead;
             }
-            return { lead, score, isRedial };
-        });
-
-        // Sort by score descending
-        scored.sort((a, b) => b.score - a.score);
+            default: {
+                // Candidates are one queue head each, so with under ten queues this is the
+                // best head; with more, random among the top fifth spreads dials across queues
+                const ranked = candidates.map(c => ({ lead: c.lead, score: score(c) })).sort((a, b) => b.score - a.score);
+                const topCount = Math.max(1, Math.floor(ranked.length * 0.2));
+                return ranked[Math.floor(randomFn() * topCount)].lead;
+            }
+        }
+    }
 
-        // Pick from top 20% with some randomness
-        const topCount = Math.max(1, Math.floor(scored.length * 0.2));
-        const topLeads = scored.slice(0, topCount);
-        const index = Math.floor(randomFn() * topLeads.length);
+    /**
+     * Remove a lead from the pool
+     * @param {string} id
+     * @returns {boolean} True if it was in the pool
+     */
+    removeLead(id) {
+        const lead = this.leads.get(id);
+        if (!lead) return false;
 
-        return topLeads[index].lead;
+        this.index.remove(lead);
+        lead.onChange = null;
+        return this.leads.delete(id);
     }
 
     /**
@@ -409,16 +847,15 @@ export class LeadPool {
     }
 
     /**
-     * Remove exhausted/converted leads older than X days
+     * Remove exhausted/converted leads older than X game days
      * @param {number} maxAgeDays 
      */
     cleanup(maxAgeDays = 30) {
-        const threshold = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
+        const threshold = this.now() - (maxAgeDays * MINUTES_PER_DAY);
 
-        for (const [id, lead] of this.leads) {
-            if ((lead.status === 'exhausted' || lead.status === 'converted')
-                && lead.createdAt < threshold) {
-                this.leads.delete(id);
+        for (const status of ['exhausted', 'converted']) {
+            for (const lead of Array.from(this.index.getByStatus(status))) {
+                if (lead.createdAt < threshold) this.removeLead(lead.id);
             }
         }
     }
@@ -428,28 +865,20 @@ export class LeadPool {
      * @returns {Object}
      */
     getStats() {
-        let fresh = 0, contacted = 0, converted = 0, exhausted = 0, dnc = 0;
-
-        for (const lead of this.leads.values()) {
-            switch (lead.status) {
-                case 'fresh': fresh++; break;
-                case 'contacted': contacted++; break;
-                case 'converted': converted++; break;
-                case 'exhausted': exhausted++; break;
-                case 'dnc': dnc++; break;
-            }
-        }
+        const fresh = this.index.countStatus('fresh');
 
         // Count redialable leads (contacted but can be called again)
-        const redialable = Array.from(this.leads.values()).filter(l => l.isRedialable()).length;
+        const redialable = this.index.countPhase('redial');
 
         return {
             total: this.leads.size,
             fresh,
-            contacted,
-            converted,
-            exhausted,
-            dnc,
+            contacted: this.index.countStatus('contacted'),
+            callback: this.index.countStatus('callback'),
+            converted: this.index.countStatus('converted'),
+            exhausted: this.index.countStatus('exhausted'),
+            invalid: this.index.countStatus('invalid'),
+            dnc: this.index.countStatus('dnc'),
             dialable: fresh,
             redialable: redialable,
             available: fresh + redialable // Total leads that can be dialed
@@ -463,6 +892,7 @@ export class LeadPool {
         return {
             leads: Array.from(this.leads.values()).map(l => l.toJSON()),
             sources: Array.from(this.sources.values()).map(s => s.toJSON()),
+            routingStrategy: this.routingStrategy,
             nextLeadId: this.nextLeadId
         };
     }
@@ -478,15 +908,17 @@ export class LeadPool {
             const savedSource = data.sources?.find(s => s.id === config.id);
             if (savedSource) {
                 source.unlocked = savedSource.unlocked;
+                source.inventory = savedSource.inventory ?? source.supplyPerDay;
             }
             this.sources.set(source.id, source);
         }
 
         // Restore leads
         this.leads.clear();
+        this.index.clear();
+        if (!this.setRoutingStrategy(data.routingStrategy)) this.setRoutingStrategy(RoutingStrategy.LEAD_SCORE);
         for (const leadData of data.leads || []) {
-            const lead = Lead.fromJSON(leadData);
-            this.leads.set(lead.id, lead);
+            this._track(Lead.fromJSON(leadData));
         }
 
         this.nextLeadId = data.nextLeadId || this.leads.size + 1;
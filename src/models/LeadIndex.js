@@ -0,0 +1,302 @@
+/**
+ * Lead Index
+ * Keeps the LeadPool's leads grouped by status and queued for dialing, so
+ * picking the next lead and counting leads never scans the whole pool.
+ *
+ * Dialable leads wait in one priority queue per (phase, source, time zone,
+ * attempt). Every lead in a queue shares a calling window and cadence rules,
+ * so only the top of each queue has to be checked when choosing a lead. Leads
+ * whose source cadence says "not yet", or that an agent skipped in preview,
+ * wait in a cooldown queue until they are due.
+ *
+ * Queues are ordered by a lead's value without the hour-of-day factor, or by
+ * arrival for FIFO / newest-first routing; the caller weighs queue tops at
+ * selection time. Freshness drifts slowly, so priorities are recomputed once
+ * per game day (see rebuild()).
+ */
+
+/**
+ * Array-backed binary heap. compare(a, b) < 0 puts a nearer the top.
+ */
+class BinaryHeap {
+    constructor(compare, items = []) {
+        this.compare = compare;
+        this.items = items;
+        for (let i = (this.items.length >> 1) - 1; i >= 0; i--) this._down(i);
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        this.items.push(item);
+        this._up(this.items.length - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            this._down(0);
+        }
+        return top;
+    }
+
+    _up(i) {
+        const items = this.items;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    _down(i) {
+        const items = this.items;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let best = i;
+            if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+            if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+            if (best === i) return;
+            [items[i], items[best]] = [items[best], items[i]];
+            i = best;
+        }
+    }
+}
+
+const byDueTime = (a, b) => a.dueAt - b.dueAt;
+
+/** Queue orderings: value, or arrival in the pool */
+const QUEUE_ORDERS = {
+    priority: (a, b) => b.priority - a.priority,
+    oldest: (a, b) => a.seq - b.seq,
+    newest: (a, b) => b.seq - a.seq
+};
+
+/**
+ * Dialing phase of a lead, or null if it can't be dialed
+ * first: never dialed; retry: dialed but never reached; redial: reached, not converted
+ * @param {Lead} lead
+ * @returns {string|null}
+ */
+function getPhase(lead) {
+    if (lead.isDialable()) return lead.dialAttempts === 0 ? 'first' : 'retry';
+    if (lead.isRedialable()) return 'redial';
+    return null;
+}
+
+/** Phases tried in order; later groups are only a fallback */
+const PHASE_GROUPS = [['first', 'retry'], ['redial']];
+
+export class LeadIndex {
+    /**
+     * @param {function} getSource - (sourceId) => LeadSource
+     */
+    constructor(getSource) {
+        this.getSource = getSource;
+        this.order = 'priority';
+        this.clear();
+    }
+
+    clear() {
+        this.byStatus = new Map(); // status -> Set<Lead>
+        this.entries = new Map(); // leadId -> { status, phase, seq, stamp, queue }
+        this.queues = new Map(); // `${phase}|${sourceId}|${timeZone}|${attempts}` -> { phase, sourceId, heap, live }
+        this.cooldown = new BinaryHeap(byDueTime);
+        this.phaseCounts = { first: 0, retry: 0, redial: 0 };
+        this.nextSeq = 0;
+    }
+
+    /**
+     * Change how queues are ordered and re-sort them
+     * @param {string} order - 'priority', 'oldest' or 'newest'
+     * @param {number} now - Game time in total minutes
+     * @returns {boolean} False for an unknown order
+     */
+    setOrder(order, now) {
+        if (!QUEUE_ORDERS[order]) return false;
+        this.order = order;
+        this.rebuild(now);
+        return true;
+    }
+
+    /**
+     * Start tracking a lead
+     * @param {Lead} lead
+     * @param {number} now - Game time in total minutes
+     */
+    add(lead, now) {
+        this.entries.set(lead.id, { status: null, phase: null, seq: this.nextSeq++, stamp: 0, queue: null });
+        this.update(lead, now);
+    }
+
+    /**
+     * Stop tracking a lead. Its queue entries go stale and are dropped lazily.
+     * @param {Lead} lead
+     */
+    remove(lead) {
+        const entry = this.entries.get(lead.id);
+        if (!entry) return;
+
+        this.byStatus.get(entry.status)?.delete(lead);
+        this._leavePhase(entry);
+        this.entries.delete(lead.id);
+    }
+
+    /**
+     * Re-file a lead after its status, attempts or value changed
+     * @param {Lead} lead
+     * @param {number} now - Game time in total minutes
+     */
+    update(lead, now) {
+        const entry = this.entries.get(lead.id);
+        if (!entry) return;
+
+        if (entry.status !== lead.status) {
+            this.byStatus.get(entry.status)?.delete(lead);
+            if (!this.byStatus.has(lead.status)) this.byStatus.set(lead.status, new Set());
+            this.byStatus.get(lead.status).add(lead);
+            entry.status = lead.status;
+        }
+
+        this._leavePhase(entry);
+        entry.stamp++;
+        entry.phase = getPhase(lead);
+        if (!entry.phase) return;
+
+        this.phaseCounts[entry.phase]++;
+        const dueAt = Math.max(
+            this.getSource(lead.sourceId)?.getNextAttemptAt(lead) ?? -Infinity,
+            lead.skippedUntil ?? -Infinity
+        );
+        if (dueAt > now) {
+            this.cooldown.push({ lead, dueAt, stamp: entry.stamp });
+        } else {
+            this._enqueue(lead, entry, now);
+        }
+    }
+
+    /**
+     * Recompute every queued lead's priority, re-sort the queues and drop stale entries
+     * @param {number} now - Game time in total minutes
+     */
+    rebuild(now) {
+        const cooling = this.cooldown.items.filter(item => this._isCurrent(item));
+        this.cooldown = new BinaryHeap(byDueTime, cooling);
+
+        for (const queue of this.queues.values()) {
+            const items = queue.heap.items.filter(item => this._isCurrent(item));
+            for (const item of items) item.priority = item.lead.getPriority(now);
+            queue.heap = new BinaryHeap(QUEUE_ORDERS[this.order], items);
+        }
+    }
+
+    /**
+     * Choose a lead to dial from the queue tops whose calling window and retry
+     * hours are open. Reached leads (redials) are only used when nothing else
+     * can be dialed.
+     * @param {number} hourOfDay - Hour on the call center's clock
+     * @param {number} now - Game time in total minutes
+     * @param {function} choose - (candidates) => Lead, given items of { lead, seq, sourceId }
+     * @returns {Lead|null}
+     */
+    select(hourOfDay, now, choose) {
+        this._releaseDue(now);
+
+        for (const phases of PHASE_GROUPS) {
+            const candidates = [];
+
+            for (const queue of this.queues.values()) {
+                if (queue.live === 0 || !phases.includes(queue.phase)) continue;
+
+                const top = this._peek(queue);
+                if (!top || !top.lead.isWithinCallingHours(hourOfDay)) continue;
+                if (queue.phase !== 'first' &&
+                    !this.getSource(queue.sourceId)?.isRetryHour(top.lead.getLocalHour(hourOfDay))) continue;
+
+                candidates.push({ lead: top.lead, seq: top.seq, sourceId: queue.sourceId });
+            }
+
+            if (candidates.length > 0) return choose(candidates);
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} status
+     * @returns {Set<Lead>}
+     */
+    getByStatus(status) {
+        return this.byStatus.get(status) || new Set();
+    }
+
+    countStatus(status) {
+        return this.byStatus.get(status)?.size ?? 0;
+    }
+
+    /**
+     * Leads in a dialing phase, whether queued or cooling down
+     * @param {string} phase - 'first', 'retry' or 'redial'
+     * @returns {number}
+     */
+    countPhase(phase) {
+        return this.phaseCounts[phase] ?? 0;
+    }
+
+    _isCurrent(item) {
+        return this.entries.get(item.lead.id)?.stamp === item.stamp;
+    }
+
+    _leavePhase(entry) {
+        if (!entry.phase) return;
+        this.phaseCounts[entry.phase]--;
+        if (entry.queue) entry.queue.live--;
+        entry.phase = null;
+        entry.queue = null;
+    }
+
+    _enqueue(lead, entry, now) {
+        const key = `${entry.phase}|${lead.sourceId}|${lead.timeZone}|${lead.dialAttempts}`;
+        let queue = this.queues.get(key);
+        if (!queue) {
+            queue = { phase: entry.phase, sourceId: lead.sourceId, heap: new BinaryHeap(QUEUE_ORDERS[this.order]), live: 0 };
+            this.queues.set(key, queue);
+        }
+
+        queue.heap.push({ lead, priority: lead.getPriority(now), seq: entry.seq, stamp: entry.stamp });
+        queue.live++;
+        entry.queue = queue;
+
+        // Keep stale entries from piling up in queues whose tops rarely change
+        if (queue.heap.size > 2 * queue.live + 64) {
+            queue.heap = new BinaryHeap(QUEUE_ORDERS[this.order], queue.heap.items.filter(item => this._isCurrent(item)));
+        }
+    }
+
+    _releaseDue(now) {
+        while (this.cooldown.size > 0) {
+            const next = this.cooldown.peek();
+            if (this._isCurrent(next)) {
+                if (next.dueAt > now) return;
+                this._enqueue(next.lead, this.entries.get(next.lead.id), now);
+            }
+            this.cooldown.pop();
+        }
+    }
+
+    _peek(queue) {
+        while (queue.heap.size > 0 && !this._isCurrent(queue.heap.peek())) {
+            queue.heap.pop();
+        }
+        return queue.heap.peek();
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Lead Scoring Model
+ * Learns answer and conversion rates from dial outcomes, bucketed by lead
+ * source, the lead's local hour and attempt number. Until a bucket has
+ * enough dials, its rates lean on the lead's own estimates.
+ */
+
+import { Disposition } from './Lead.js';
+
+/** Dispositions where a live contact picked up */
+const CONTACT_DISPOSITIONS = new Set([
+    Disposition.NOT_INTERESTED,
+    Disposition.CALLBACK_REQUESTED,
+    Disposition.DNC_REQUEST,
+    Disposition.SALE
+]);
+
+/** Attempts past this share one bucket */
+const MAX_ATTEMPT_BUCKET = 5;
+
+/** Dials of evidence the lead's own estimate is worth */
+const PRIOR_WEIGHT = 20;
+
+export class LeadScoringModel {
+    constructor() {
+        this.buckets = new Map(); // `${sourceId}|${localHour}|${attempt}` -> { dials, contacts, sales }
+    }
+
+    /**
+     * @private
+     */
+    _key(sourceId, localHour, attempt) {
+        return `${sourceId}|${localHour}|${Math.min(attempt, MAX_ATTEMPT_BUCKET)}`;
+    }
+
+    /**
+     * Learn from a dial's outcome. Call after the dial is recorded on the lead.
+     * @param {Lead} lead
+     * @param {number} localHour - Hour on the lead's clock when dialed
+     * @param {string} disposition - Disposition value
+     */
+    record(lead, localHour, disposition) {
+        const key = this._key(lead.sourceId, localHour, lead.dialAttempts);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { dials: 0, contacts: 0, sales: 0 };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.dials++;
+        if (CONTACT_DISPOSITIONS.has(disposition)) bucket.contacts++;
+        if (disposition === Disposition.SALE) bucket.sales++;
+    }
+
+    /**
+     * Learned rates for the lead's next attempt at an hour
+     * @param {Lead} lead
+     * @param {number} hourOfDay - Hour on the call center's clock
+     * @param {number} now - Game time in total minutes
+     * @returns {Object} { answerRate, conversionRate, dials }
+     */
+    getRates(lead, hourOfDay, now) {
+        const bucket = this.buckets.get(this._key(lead.sourceId, lead.getLocalHour(hourOfDay), lead.dialAttempts + 1));
+        const dials = bucket?.dials ?? 0;
+        const contacts = bucket?.contacts ?? 0;
+        const sales = bucket?.sales ?? 0;
+
+        const priorAnswer = lead.getAnswerProbability(hourOfDay, now);
+        const priorConversion = lead.getConversionProbability(now);
+
+        return {
+            answerRate: (contacts + PRIOR_WEIGHT * priorAnswer) / (dials + PRIOR_WEIGHT),
+            conversionRate: (sales + PRIOR_WEIGHT * priorConversion) / (contacts + PRIOR_WEIGHT),
+            dials
+        };
+    }
+
+    /**
+     * Learned expected value of dialing a lead now, in base sales per dial
+     * @param {Lead} lead
+     * @param {number} hourOfDay - Hour on the call center's clock
+     * @param {number} now - Game time in total minutes
+     * @returns {number}
+     */
+    getExpectedValue(lead, hourOfDay, now) {
+        const { answerRate, conversionRate } = this.getRates(lead, hourOfDay, now);
+        return answerRate * conversionRate * lead.intentMultiplier;
+    }
+
+    /**
+     * Observed totals per source
+     * @returns {Object} sourceId -> { dials, contacts, sales, answerRate, conversionRate }
+     */
+    getSourceSummary() {
+        const summary = {};
+        for (const [key, bucket] of this.buckets) {
+            const sourceId = key.split('|')[0];
+            const totals = summary[sourceId] || (summary[sourceId] = { dials: 0, contacts: 0, sales: 0 });
+            totals.dials += bucket.dials;
+            totals.contacts += bucket.contacts;
+            totals.sales += bucket.sales;
+        }
+
+        for (const totals of Object.values(summary)) {
+            totals.answerRate = totals.dials > 0 ? totals.contacts / totals.dials : 0;
+            totals.conversionRate = totals.contacts > 0 ? totals.sales / totals.contacts : 0;
+        }
+        return summary;
+    }
+
+    /**
+     * Serialize for saving
+     */
+    toJSON() {
+        return { buckets: Object.fromEntries(this.buckets) };
+    }
+
+    /**
+     * Load from saved data
+     */
+    loadFromJSON(data) {
+        this.buckets = new Map(Object.entries(data?.buckets || {}));
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * Lead CSV
+ * Import hand-built lead lists and export the pool with outcomes for spreadsheets.
+ */
+
+import { TIME_ZONES } from '../models/Lead.js';
+
+/** Columns written by exportLeadsToCsv, in order */
+export const EXPORT_COLUMNS = [
+    'id', 'source', 'phone', 'time_zone',
+    'answer_probability', 'conversion_probability', 'intent', 'compliance_risk', 'preferred_hours',
+    'status', 'attempts', 'last_dialed_at', 'outcome'
+];
+
+/**
+ * Import column -> how to read and check it. Blank cells keep the source's value.
+ */
+const IMPORT_COLUMNS = {
+    phone: { field: 'phone', parse: parsePhone },
+    answer_probability: { field: 'baseAnswerProbability', parse: value => parseNumber(value, 0, 1, false) },
+    conversion_probability: { field: 'baseConversionProbability', parse: value => parseNumber(value, 0, 1, false) },
+    intent: { field: 'intentMultiplier', parse: value => parseNumber(value, 0, Infinity, false) },
+    compliance_risk: { field: 'complianceRisk', parse: value => parseNumber(value, 0, 1, true) },
+    preferred_hours: { field: 'preferredHours', parse: parseHours },
+    time_zone: { field: 'timeZone', parse: parseTimeZone }
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Quote a value for CSV if needed
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseNumber(value, min, max, minInclusive) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return { error: `"${value}" is not a number` };
+    if (number > max || number < min || (!minInclusive && number === min)) {
+        const low = minInclusive ? `${min}` : `above ${min}`;
+        return { error: `${number} is out of range (${low}${max === Infinity ? '' : ` to ${max}`})` };
+    }
+    return { value: number };
+}
+
+function parsePhone(value) {
+    return /^\d{3}-\d{3}-\d{4}$/.test(value)
+        ? { value }
+        : { error: `"${value}" is not a phone number like 415-555-0123` };
+}
+
+/**
+ * Hours as a list separated by ';' or spaces, with optional ranges: "10;11;17-19"
+ */
+function parseHours(value) {
+    const hours = new Set();
+    for (const part of value.split(/[;\s]+/).filter(Boolean)) {
+        const match = part.match(/^(\d{1,2})(?:-(\d{1,2}))?$/);
+        const start = match ? Number(match[1]) : NaN;
+        const end = match?.[2] !== undefined ? Number(match[2]) : start;
+        if (!match || start > 23 || end > 23 || end < start) {
+            return { error: `"${part}" is not an hour or hour range (0-23)` };
+        }
+        for (let hour = start; hour <= end; hour++) hours.add(hour);
+    }
+    return hours.size > 0 ? { value: Array.from(hours).sort((a, b) => a - b) } : { error: 'No hours given' };
+}
+
+function parseTimeZone(value) {
+    const timeZone = value.toLowerCase();
+    return TIME_ZONES[timeZone]
+        ? { value: timeZone }
+        : { error: `Unknown time zone "${value}" (expected ${Object.keys(TIME_ZONES).join(', ')})` };
+}
+
+/**
+ * Add the leads in a CSV to the pool. Rows with any invalid cell are skipped.
+ * Columns: source (required), phone, answer_probability, conversion_probability,
+ * intent, compliance_risk, preferred_hours, time_zone. Header names are case-insensitive.
+ * @param {LeadPool} pool
+ * @param {string} text - CSV with a header row
+ * @param {function} randomFn - Fills in fields the row leaves blank
+ * @returns {Object} { leads, errors } - errors are { row, column, message }, row 1 being the header
+ */
+export function importLeadsFromCsv(pool, text, randomFn = Math.random) {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+    const leads = [];
+    const errors = [];
+
+    if (!columns.includes('source')) {
+        errors.push({ row: 1, column: 'source', message: 'Missing required column' });
+        return { leads, errors };
+    }
+
+    rows.forEach((cells, index) => {
+        const row = index + 2;
+        if (cells.every(cell => cell.trim() === '')) return;
+
+        const values = Object.fromEntries(columns.map((column, i) => [column, (cells[i] ?? '').trim()]));
+        const rowErrors = [];
+
+        const source = pool.sources.get(values.source);
+        if (!source) {
+            rowErrors.push({ row, column: 'source', message: `Unknown lead source "${values.source}"` });
+        }
+
+        const fields = {};
+        for (const [column, { field, parse }] of Object.entries(IMPORT_COLUMNS)) {
+            if (!values[column]) continue;
+            const result = parse(values[column]);
+            if (result.error) {
+                rowErrors.push({ row, column, message: result.error });
+            } else {
+                fields[field] = result.value;
+            }
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            return;
+        }
+
+        const { baseAnswerProbability, baseConversionProbability, preferredHours, ...overrides } = fields;
+        const lead = pool.createLead(source, randomFn, overrides);
+
+        // Set after creation so hand-built values skip the per-lead variance
+        if (baseAnswerProbability !== undefined) lead.baseAnswerProbability = baseAnswerProbability;
+        if (baseConversionProbability !== undefined) lead.baseConversionProbability = baseConversionProbability;
+        if (preferredHours !== undefined) lead.preferredHours = preferredHours;
+        pool.refreshLead(lead);
+        leads.push(lead);
+    });
+
+    return { leads, errors };
+}
+
+/**
+ * The pool as CSV with each lead's status, dial attempts and latest outcome
+ * @param {LeadPool} pool
+ * @returns {string}
+ */
+export function exportLeadsToCsv(pool) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+
+    for (const lead of pool.leads.values()) {
+        lines.push([
+            lead.id,
+            lead.sourceId,
+            lead.phone,
+            lead.timeZone,
+            lead.baseAnswerProbability,
+            lead.baseConversionProbability,
+            lead.intentMultiplier,
+            lead.complianceRisk,
+            lead.preferredHours.join(';'),
+            lead.status,
+            lead.dialAttempts,
+            lead.lastDialedAt,
+            lead.lastDisposition
+        ].map(toCsvCell).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+}
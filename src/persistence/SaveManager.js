@@ -3,8 +3,59 @@
  * Handles persistence to localStorage.
  */
 
+import { MINUTES_PER_DAY } from '../models/Lead.js';
+
 const SAVE_KEY = 'callCenterTycoon_save';
-const SAVE_VERSION = 1;
+export const SAVE_VERSION = 2;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Upgrades from each save version to the next, keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+    // v1 days were one 900-minute run; v2 puts each day on a 1440-minute grid.
+    // v1 also stamped lead times with the real clock; rebase them onto game minutes,
+    // keeping each lead's age (one real day aged a lead as much as one game day)
+    1: (data) => {
+        if (data.gameTime) {
+            const { day = 1, hour = 9, minute = 0 } = data.gameTime;
+            data.gameTime.totalMinutes = (day - 1) * MINUTES_PER_DAY + (hour - 9) * 60 + minute;
+        }
+
+        const savedAt = data.savedAt ?? Date.now();
+        const now = data.gameTime?.totalMinutes ?? 0;
+        const toGameMinutes = (timestamp) => (timestamp === null || timestamp === undefined)
+            ? null
+            : Math.round(now - Math.max(0, savedAt - timestamp) / MS_PER_DAY * MINUTES_PER_DAY);
+
+        for (const lead of data.leadPool?.leads || []) {
+            lead.createdAt = toGameMinutes(lead.createdAt) ?? now;
+            lead.lastDialedAt = toGameMinutes(lead.lastDialedAt);
+            lead.convertedAt = toGameMinutes(lead.convertedAt);
+        }
+        return data;
+    }
+};
+
+/**
+ * Bring save data up to the current version
+ * @param {Object} saveData
+ * @returns {Object} Migrated save data
+ */
+export function migrateSave(saveData) {
+    let data = saveData;
+    let version = data.version ?? 1;
+
+    while (version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) throw new Error(`No migration from save version ${version}`);
+        data = migrate(data);
+        version++;
+        data.version = version;
+    }
+    return data;
+}
 
 export class SaveManager {
     constructor(gameState) {
@@ -28,11 +79,7 @@ export class SaveManager {
             const data = localStorage.getItem(SAVE_KEY);
             if (!data) return false;
 
-            const saveData = JSON.parse(data);
-            if (saveData.version !== SAVE_VERSION) {
-                console.warn('Save version mismatch, may need migration');
-            }
-
+            const saveData = migrateSave(JSON.parse(data));
             this.state.loadFromJSON(saveData, configs);
             return true;
         } catch (e) {
@@ -56,7 +103,7 @@ export class SaveManager {
 
     importSave(encoded, configs) {
         try {
-            const saveData = JSON.parse(atob(encoded));
+            const saveData = migrateSave(JSON.parse(atob(encoded)));
             this.state.loadFromJSON(saveData, configs);
             return true;
         } catch (e) {
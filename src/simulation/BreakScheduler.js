@@ -0,0 +1,117 @@
+/**
+ * Break Scheduler
+ * Sends agents on scheduled breaks, forces breaks at critical fatigue,
+ * staggers them so the floor stays staffed, and docks morale for late or missed breaks.
+ */
+
+import { AgentState } from '../models/Agent.js';
+
+export class BreakScheduler {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} defaults - defaults.json contents
+     */
+    constructor(gameState, defaults = {}) {
+        this.state = gameState;
+
+        const game = defaults.game || {};
+        const agent = defaults.agent || {};
+        this.breakDurationMinutes = game.breakDurationMinutes || 15;
+        this.breakFrequencyMinutes = game.breakFrequencyMinutes || 120;
+        this.maxBreakShare = game.breakMaxShare ?? 0.25;
+        this.graceMinutes = game.breakGraceMinutes ?? 15;
+        this.delayMoralePenalty = game.breakDelayMoralePenaltyPerMinute ?? 0.002;
+        this.skippedMoralePenalty = game.breakSkippedMoralePenalty ?? 0.05;
+        this.criticalFatigue = agent.fatigueThresholdCritical ?? 0.9;
+    }
+
+    isCritical(agent) {
+        return agent.fatigue >= this.criticalFatigue;
+    }
+
+    /**
+     * Minutes past the agent's scheduled break (negative if not yet due)
+     * @param {Agent} agent
+     * @returns {number}
+     */
+    getMinutesOverdue(agent) {
+        return this.state.gameTime.totalMinutes - agent.lastBreakAt - this.breakFrequencyMinutes;
+    }
+
+    /**
+     * Most agents allowed on break at once
+     * @returns {number}
+     */
+    getMaxConcurrentBreaks() {
+        return Math.max(1, Math.floor(this.state.agents.length * this.maxBreakShare));
+    }
+
+    /**
+     * Run once per game minute during work hours
+     * @returns {Agent[]} Agents sent on break this minute
+     */
+    update() {
+        const now = this.state.gameTime.totalMinutes;
+        const agents = this.state.agents;
+        const started = [];
+
+        // Agents new to the floor start their break clock now
+        for (const agent of agents) {
+            if (agent.lastBreakAt === null) agent.lastBreakAt = now;
+        }
+
+        let onBreak = agents.filter(a => a.state === AgentState.BREAK).length;
+        let onFloor = agents.filter(a => a.isWorking()).length;
+        const maxConcurrent = this.getMaxConcurrentBreaks();
+
+        // Critical fatigue first, then whoever has waited longest
+        const due = agents
+            .filter(a => a.isWorking() && (this.isCritical(a) || this.getMinutesOverdue(a) >= 0))
+            .sort((a, b) => (this.isCritical(b) - this.isCritical(a))
+                || (this.getMinutesOverdue(b) - this.getMinutesOverdue(a)));
+
+        for (const agent of due) {
+            const critical = this.isCritical(agent);
+            // Never take the last agent off a staffed floor; a solo agent still gets breaks
+            const floorCovered = onFloor > 1 || agents.length === 1;
+            const slotFree = onBreak < maxConcurrent || critical;
+
+            if (agent.isAvailable() && floorCovered && slotFree) {
+                agent.startBreak(this.breakDurationMinutes * 60);
+                agent.lastBreakAt = now;
+                agent.dailyStats.breaks++;
+                onBreak++;
+                onFloor--;
+                started.push(agent);
+            } else if (this.getMinutesOverdue(agent) > this.graceMinutes) {
+                agent.adjustMorale(-this.delayMoralePenalty);
+            }
+        }
+
+        return started;
+    }
+
+    /**
+     * Breaks an agent should get over a full shift
+     * @returns {number}
+     */
+    getExpectedBreaksPerShift() {
+        return Math.max(0, Math.ceil(this.state.getShiftHours() * 60 / this.breakFrequencyMinutes) - 1);
+    }
+
+    /**
+     * Penalize skipped breaks and restart every agent's break clock at the next shift.
+     * Call before GameState.endDay() resets daily stats.
+     */
+    closeDay() {
+        const expected = this.getExpectedBreaksPerShift();
+
+        for (const agent of this.state.agents) {
+            const skipped = Math.max(0, expected - agent.dailyStats.breaks);
+            if (skipped > 0) {
+                agent.adjustMorale(-skipped * this.skippedMoralePenalty);
+            }
+            agent.lastBreakAt = null;
+        }
+    }
+}
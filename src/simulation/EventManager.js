@@ -0,0 +1,419 @@
+/**
+ * Event Manager
+ * Rolls random events from events.json, applies their effects and expires them on game time.
+ */
+
+/**
+ * Trigger condition evaluators, keyed by the names used in events.json
+ * Unknown conditions are treated as not met so an event never fires on a rule we can't check.
+ */
+const TRIGGER_CONDITIONS = {
+    minDialsPerDay: (state, value) => state.dailyStats.dials >= value,
+    minDialsTotal: (state, value) => state.lifetimeStats.totalDials >= value,
+    minRevenue: (state, value) => state.lifetimeStats.totalRevenue >= value,
+    minConversions: (state, value) => state.lifetimeStats.totalConversions >= value,
+    minAgents: (state, value) => state.agents.length >= value,
+    maxReputation: (state, value) => state.reputation <= value,
+    minReputation: (state, value) => state.reputation >= value,
+    hasHighFatigueAgent: (state, value, defaults) => {
+        const threshold = defaults.agent?.fatigueThresholdWarning ?? 0.7;
+        return state.agents.some(a => a.fatigue >= threshold) === value;
+    }
+};
+
+/**
+ * Effect types read live through GameState.getEventMultiplier().
+ * A choice carrying one of these replaces the event's own value for that type.
+ */
+const MULTIPLIER_EFFECTS = new Set([
+    'spam_rate_multiplier',
+    'dial_rate_multiplier',
+    'conversion_multiplier',
+    'revenue_multiplier'
+]);
+
+export class EventManager {
+    /**
+     * @param {GameState} gameState
+     * @param {Object[]} eventConfigs - Entries from events.json
+     * @param {Object} defaults - defaults.json contents
+     * @param {function} randomFn - RNG function (use the engine's seeded RNG)
+     */
+    constructor(gameState, eventConfigs = [], defaults = {}, randomFn = Math.random) {
+        this.state = gameState;
+        this.defaults = defaults;
+        this.randomFn = randomFn;
+        this.configs = new Map();
+
+        for (const config of eventConfigs) {
+            this.configs.set(config.id, config);
+        }
+
+        const settings = defaults.events || {};
+        this.checkIntervalMinutes = settings.checkIntervalMinutes || 120;
+        this.maxActiveEvents = settings.maxActiveEvents || 2;
+        this.historyLimit = settings.historyLimit || 50;
+        this.decisionTimeoutMinutes = settings.decisionTimeoutMinutes || 30;
+    }
+
+    getEventConfig(eventId) {
+        return this.configs.get(eventId);
+    }
+
+    isActive(eventId) {
+        return this.state.activeEvents.some(e => e.eventId === eventId);
+    }
+
+    /**
+     * Check whether all of an event's trigger conditions are met
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    meetsConditions(config) {
+        for (const [name, value] of Object.entries(config.triggerConditions || {})) {
+            const check = TRIGGER_CONDITIONS[name];
+            if (!check || !check(this.state, value, this.defaults)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Advance the event system by one game minute.
+     * Applies default choices past their deadline, expires finished events
+     * and, on the check schedule, rolls for new ones.
+     * @returns {Object[]} Notices of the form { type, event, decision? }
+     *   where type is 'started', 'ended', 'decision' or 'decision_defaulted'
+     */
+    update() {
+        const notices = [];
+        const now = this.state.gameTime.totalMinutes;
+
+        for (const decision of [...this.state.pendingDecisions]) {
+            if (now >= decision.deadline) {
+                const event = this.state.activeEvents.find(e => e.id === decision.id);
+                this.resolveDecision(decision.id, decision.defaultChoice, true);
+                notices.push({ type: 'decision_defaulted', event, decision });
+            }
+        }
+
+        for (const event of [...this.state.activeEvents]) {
+            if (now >= event.expiresAt) {
+                this.expire(event);
+                notices.push({ type: 'ended', event });
+            }
+        }
+
+        if (this.state.isWorkHours() && now % this.checkIntervalMinutes === 0) {
+            for (const event of this.rollEvents()) {
+                notices.push({ type: 'started', event });
+
+                const decision = this.getDecision(event.id);
+                if (decision) notices.push({ type: 'decision', event, decision });
+            }
+        }
+
+        return notices;
+    }
+
+    /**
+     * Roll each eligible event against its probability
+     * @returns {Object[]} Newly activated events
+     */
+    rollEvents() {
+        const started = [];
+
+        for (const config of this.configs.values()) {
+            if (this.state.activeEvents.length >= this.maxActiveEvents) break;
+            if (this.isActive(config.id) || !this.meetsConditions(config)) continue;
+
+            if (this.randomFn() < (config.probability || 0)) {
+                started.push(this.activate(config.id));
+            }
+        }
+
+        return started;
+    }
+
+    /**
+     * Start an event now, regardless of its trigger conditions
+     * @param {string} eventId
+     * @returns {Object|null} The active event record
+     */
+    activate(eventId) {
+        const config = this.configs.get(eventId);
+        if (!config) return null;
+
+        const now = this.state.gameTime.totalMinutes;
+        const event = {
+            id: `${config.id}_${now}`,
+            eventId: config.id,
+            name: config.name,
+            category: config.category,
+            narrative: config.narrative || config.description || '',
+            startedAt: now,
+            expiresAt: now + (config.durationMinutes || 0),
+            effects: (config.effects || []).map(e => ({ ...e })),
+            affectedAgentIds: []
+        };
+
+        this.state.activeEvents.push(event);
+
+        for (const effect of event.effects) {
+            this.applyInstantEffect(effect, event);
+        }
+
+        if (config.choices?.length > 0) {
+            this.openDecision(config, event);
+        }
+
+        return event;
+    }
+
+    // ==================== DECISIONS ====================
+
+    /**
+     * Queue a player decision for an event that offers choices
+     * @param {Object} config - Event config
+     * @param {Object} event - Active event record
+     */
+    openDecision(config, event) {
+        const timeout = config.decisionTimeoutMinutes || this.decisionTimeoutMinutes;
+        const freeChoice = config.choices.findIndex(c => this.getChoiceCost(c) === 0);
+
+        this.state.pendingDecisions.push({
+            id: event.id,
+            eventId: config.id,
+            name: config.name,
+            narrative: event.narrative,
+            choices: config.choices.map((choice, index) => ({
+                index,
+                text: choice.text,
+                cost: this.getChoiceCost(choice)
+            })),
+            defaultChoice: config.defaultChoice ?? Math.max(freeChoice, 0),
+            createdAt: event.startedAt,
+            deadline: Math.min(event.startedAt + timeout, event.expiresAt)
+        });
+    }
+
+    getDecision(decisionId) {
+        return this.state.pendingDecisions.find(d => d.id === decisionId) || null;
+    }
+
+    /**
+     * Agents a choice applies to (and is priced by)
+     * @param {Object} choice
+     * @returns {Agent[]}
+     */
+    getChoiceTargets(choice) {
+        if (choice.targetCount !== 'half') return this.state.agents;
+
+        const ranked = [...this.state.agents].sort(
+            (a, b) => b.lifetimeStats.totalConversions - a.lifetimeStats.totalConversions
+        );
+        return ranked.slice(0, Math.ceil(ranked.length / 2));
+    }
+
+    getChoiceCost(choice) {
+        return (choice.cost || 0) + (choice.costPerAgent || 0) * this.getChoiceTargets(choice).length;
+    }
+
+    /**
+     * Resolve a pending decision: charge the choice's cost and apply its effects.
+     * A default the floor can't afford falls back to a free choice, or to none,
+     * so the decision always leaves the queue.
+     * @param {string} decisionId
+     * @param {number} choiceIndex
+     * @param {boolean} isDefault - True when applied automatically at the deadline
+     * @returns {boolean} Success
+     */
+    resolveDecision(decisionId, choiceIndex, isDefault = false) {
+        const decision = this.getDecision(decisionId);
+        const config = decision && this.configs.get(decision.eventId);
+        let choice = config?.choices?.[choiceIndex];
+        if (!choice) return false;
+
+        const cost = this.getChoiceCost(choice);
+        if (cost > this.state.cash) {
+            if (!isDefault) return false;
+            choiceIndex = config.choices.findIndex(c => this.getChoiceCost(c) === 0);
+            choice = config.choices[choiceIndex] || { text: null, effects: [] };
+        } else if (cost > 0) {
+            this.state.adjustCash(-cost, 'event_expense', decision.eventId);
+        }
+
+        const targets = this.getChoiceTargets(choice);
+        const event = this.state.activeEvents.find(e => e.id === decisionId)
+            || { effects: [], affectedAgentIds: [] };
+
+        for (const effect of choice.effects || []) {
+            this.applyChoiceEffect(effect, event, targets);
+        }
+
+        event.choiceIndex = choiceIndex;
+        event.choiceText = choice.text;
+        event.choiceWasDefault = isDefault;
+
+        this.state.pendingDecisions = this.state.pendingDecisions.filter(d => d.id !== decisionId);
+        return true;
+    }
+
+    /**
+     * Apply one effect of a chosen option
+     * @param {Object} effect
+     * @param {Object} event - Active event record
+     * @param {Agent[]} targets - Agents the choice applies to
+     */
+    applyChoiceEffect(effect, event, targets) {
+        if (MULTIPLIER_EFFECTS.has(effect.type)) {
+            event.effects = event.effects.filter(e => e.type !== effect.type);
+            event.effects.push({ ...effect });
+            return;
+        }
+
+        const now = this.state.gameTime.totalMinutes;
+
+        switch (effect.type) {
+            case 'add_leads': {
+                // Event leads arrive scrubbed: the player had no chance to check them
+                const overrides = { onNationalDnc: false };
+                if (effect.complianceRisk !== undefined) overrides.complianceRisk = effect.complianceRisk;
+                this.state.leadPool.generateLeads(
+                    effect.source || 'standard_leads',
+                    effect.value,
+                    this.randomFn,
+                    overrides
+                );
+                break;
+            }
+            case 'reduce_duration':
+                if (event.expiresAt !== undefined) {
+                    event.expiresAt = now + Math.ceil((event.expiresAt - now) * effect.value);
+                }
+                break;
+            case 'global_skill_boost':
+            case 'top_agents_skill_boost':
+                // The training outcome outlasts the event but stays attributable to it
+                for (const agent of targets) {
+                    agent.addModifier(event.id ?? 'event', 'skillTalktrack', effect.value);
+                    if (event.id) {
+                        agent.markUnavailable();
+                        event.affectedAgentIds.push(agent.id);
+                    }
+                }
+                break;
+            case 'audit_success_boost':
+                event.auditSuccessBoost = (event.auditSuccessBoost || 0) + effect.value;
+                break;
+            default:
+                this.applyInstantEffect(effect, event);
+        }
+    }
+
+    /**
+     * Roll an audit at the end of an event whose choices promise a reward if compliant.
+     * Pass chance is the floor's average compliance discipline plus any consultant boost.
+     * @param {Object} event - Active event record
+     */
+    resolveAudit(event) {
+        const config = this.configs.get(event.eventId);
+        const outcome = config?.choices?.find(c => c.outcomeIfCompliant)?.outcomeIfCompliant;
+        if (!outcome || this.state.agents.length === 0) return;
+
+        const avgCompliance = this.state.agents
+            .reduce((sum, a) => sum + this.state.getEffectiveStats(a).complianceDiscipline, 0)
+            / this.state.agents.length;
+        event.auditPassed = this.randomFn() < avgCompliance + (event.auditSuccessBoost || 0);
+
+        if (event.auditPassed) {
+            this.applyInstantEffect(outcome, event);
+            if (outcome.cash) this.state.adjustCash(outcome.cash, 'event_income', event.eventId);
+        }
+    }
+
+    /**
+     * Apply effects that happen once at activation.
+     * Multiplier effects are read live through GameState.getEventMultiplier().
+     * @param {Object} effect
+     * @param {Object} event - Active event record
+     */
+    applyInstantEffect(effect, event) {
+        switch (effect.type) {
+            case 'reputation_boost':
+                this.state.adjustReputation(effect.value);
+                break;
+            case 'agent_unavailable': {
+                const agent = this.pickTargetAgent(effect.target);
+                if (agent) {
+                    agent.markUnavailable();
+                    event.affectedAgentIds.push(agent.id);
+                }
+                break;
+            }
+            case 'agent_morale_boost':
+            case 'agent_morale_penalty':
+                for (const agent of this.getAffectedAgents(event)) {
+                    agent.adjustMorale(effect.value);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Resolve an effect target to a single agent
+     * @param {string} target
+     * @returns {Agent|null}
+     */
+    pickTargetAgent(target) {
+        const candidates = this.state.agents.filter(a => a.isWorking());
+        if (candidates.length === 0) return null;
+
+        if (target === 'top_performer') {
+            return candidates.reduce((best, a) =>
+                a.lifetimeStats.totalConversions > best.lifetimeStats.totalConversions ? a : best
+            );
+        }
+
+        return candidates[Math.floor(this.randomFn() * candidates.length)];
+    }
+
+    /**
+     * Agents touched by an event, or the whole floor if it targeted nobody
+     * @param {Object} event
+     * @returns {Agent[]}
+     */
+    getAffectedAgents(event) {
+        if (event.affectedAgentIds.length === 0) return this.state.agents;
+        return this.state.agents.filter(a => event.affectedAgentIds.includes(a.id));
+    }
+
+    /**
+     * End an event and move it to history
+     * @param {Object} event - Active event record
+     */
+    expire(event) {
+        const decision = this.getDecision(event.id);
+        if (decision) this.resolveDecision(decision.id, decision.defaultChoice, true);
+        this.resolveAudit(event);
+
+        for (const agent of this.state.agents) {
+            if (event.affectedAgentIds.includes(agent.id)) {
+                agent.clearUnavailable();
+            }
+        }
+
+        this.state.activeEvents = this.state.activeEvents.filter(e => e.id !== event.id);
+        this.state.eventHistory.push({
+            id: event.id,
+            eventId: event.eventId,
+            name: event.name,
+            startedAt: event.startedAt,
+            endedAt: this.state.gameTime.totalMinutes,
+            choice: event.choiceText ?? null
+        });
+
+        if (this.state.eventHistory.length > this.historyLimit) {
+            this.state.eventHistory.shift();
+        }
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Pacing Engine
+ * Decides how many lines paced dialers (progressive, predictive, AI) launch
+ * ahead of agents, and holds those lines while they ring. Connects that find
+ * no free agent are abandoned by the engine, so abandonment falls out of how
+ * hard the dialer paces.
+ */
+
+import { AgentState } from '../models/Agent.js';
+import * as Formulas from '../balance/Formulas.js';
+
+export class PacingEngine {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} defaults - defaults.json contents
+     * @param {number} tickSeconds - Game seconds per engine tick
+     */
+    constructor(gameState, defaults = {}, tickSeconds = 10) {
+        this.state = gameState;
+
+        const pacing = defaults.pacing || {};
+        this.answerRate = pacing.initialAnswerRate ?? defaults.call?.baseAnswerProbability ?? 0.2;
+        this.answerRateSmoothing = pacing.answerRateSmoothing ?? 0.02;
+        this.minAnswerRate = pacing.minAnswerRate ?? 0.05;
+
+        // Lines connect on a tick boundary once they have rung
+        this.ringTicks = Math.max(1, Math.ceil((defaults.call?.dialDurationSeconds ?? 8) / tickSeconds));
+        this.ringSeconds = this.ringTicks * tickSeconds;
+
+        this.lines = []; // ringing: { lead, dial, ticksLeft }
+    }
+
+    /**
+     * Agents free when lines launched now connect. Predictive dialers also
+     * count agents due to finish wrap-up by then.
+     * @param {Dialer} dialer
+     * @returns {number}
+     */
+    getPredictedFreeAgents(dialer) {
+        let free = 0;
+        for (const agent of this.state.agents) {
+            if (agent.isAvailable()) {
+                free++;
+            } else if (dialer.pacing?.predictAgents && agent.state === AgentState.WRAP_UP &&
+                agent.stateTimeRemaining <= this.ringSeconds) {
+                free++;
+            }
+        }
+        return free;
+    }
+
+    /**
+     * Lines to launch this tick
+     * @param {Dialer} dialer
+     * @returns {number}
+     */
+    getLinesToLaunch(dialer) {
+        return Formulas.calculatePacedLines({
+            predictedFreeAgents: this.getPredictedFreeAgents(dialer),
+            answerRate: this.answerRate,
+            occupancyTarget: dialer.agentOccupancyTarget,
+            linesInFlight: this.lines.length,
+            maxLinesPerAgent: dialer.pacing?.maxLinesPerAgent,
+            minAnswerRate: this.minAnswerRate
+        });
+    }
+
+    /**
+     * Start a line ringing and learn from whether it will connect. Machines
+     * AMD misses connect too, so they count toward the answer rate.
+     * @param {Lead} lead
+     * @param {Object} dial - As returned by SimulationEngine.placeDial
+     */
+    launch(lead, dial) {
+        this.lines.push({ lead, dial, ticksLeft: this.ringTicks });
+        this.answerRate += ((dial.connects ? 1 : 0) - this.answerRate) * this.answerRateSmoothing;
+    }
+
+    /**
+     * Advance ringing lines by a tick
+     * @returns {Object[]} Lines that finished ringing: { lead, dial }
+     */
+    takeConnected() {
+        const connected = [];
+        this.lines = this.lines.filter(line => {
+            if (--line.ticksLeft > 0) return true;
+            connected.push(line);
+            return false;
+        });
+        return connected;
+    }
+
+    /**
+     * Finish every ringing line now (end of day)
+     * @returns {Object[]}
+     */
+    takeAll() {
+        const lines = this.lines;
+        this.lines = [];
+        return lines;
+    }
+}
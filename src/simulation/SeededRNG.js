@@ -3,6 +3,9 @@
  * Uses mulberry32 algorithm for reproducible randomness.
  * Essential for deterministic simulation and debugging.
  */
+
+import { pickWeighted } from '../balance/Formulas.js';
+
 export class SeededRNG {
     /**
      * @param {number} seed - Initial seed value
@@ -63,6 +66,15 @@ export class SeededRNG {
         return array[this.randomInt(0, array.length - 1)];
     }
 
+    /**
+     * Pick a key from an object of relative weights
+     * @param {Object<string, number>} weights - key -> non-negative weight
+     * @returns {string|null}
+     */
+    pickWeighted(weights) {
+        return pickWeighted(weights, () => this.random());
+    }
+
     /**
      * Shuffle array in place using Fisher-Yates
      * @param {Array} array 
@@ -4,7 +4,13 @@
  */
 
 import { SeededRNG } from './SeededRNG.js';
+import { EventManager } from './EventManager.js';
+import { BreakScheduler } from './BreakScheduler.js';
+import { PacingEngine } from './PacingEngine.js';
+import { TrunkCapacity } from './TrunkCapacity.js';
+import { OperatingCosts } from '../economy/OperatingCosts.js';
 import { AgentState } from '../models/Agent.js';
+import { Disposition } from '../models/Lead.js';
 import * as Formulas from '../balance/Formulas.js';
 
 export class SimulationEngine {
@@ -13,13 +19,20 @@ export class SimulationEngine {
         this.configs = configs;
         this.rng = new SeededRNG(seed);
         this.ticksPerMinute = 6; // 10-second ticks
+        this.events = new EventManager(gameState, configs.events || [], configs.defaults || {}, () => this.rng.random());
+        this.operatingCosts = new OperatingCosts(gameState, configs.defaults || {});
+        this.breaks = new BreakScheduler(gameState, configs.defaults || {});
+        this.pacing = new PacingEngine(gameState, configs.defaults || {}, 60 / this.ticksPerMinute);
+        this.trunk = new TrunkCapacity(gameState, this.pacing);
         this.callbacks = {
             onTick: null,
             onMinute: null,
             onHour: null,
             onDayEnd: null,
             onConversion: null,
-            onEvent: null
+            onEvent: null,
+            onLevelUp: null,
+            onViolation: null
         };
     }
 
@@ -36,7 +49,10 @@ export class SimulationEngine {
         if (!dialer) return;
 
         this.processAgentStates();
+        this.trunk.startTick();
+        this.processCallbacks(dialer);
         this.processDialing(dialer);
+        this.trunk.endTick();
         this.processFatigue();
 
         if (this.callbacks.onTick) this.callbacks.onTick(this.state);
@@ -46,8 +62,57 @@ export class SimulationEngine {
         for (let i = 0; i < this.ticksPerMinute; i++) {
             this.tick();
         }
+        this.processBreaks();
+        this.processOnboarding();
         this.state.advanceTime(1);
+        this.processEvents();
         if (this.callbacks.onMinute) this.callbacks.onMinute(this.state);
+
+        if (this.state.gameTime.hour >= 24) {
+            this.closeDay();
+        }
+    }
+
+    /**
+     * Send due and exhausted agents on break
+     */
+    processBreaks() {
+        if (this.state.isPaused || !this.state.isWorkHours()) return;
+        this.breaks.update();
+    }
+
+    /**
+     * Count down new hires' ramp-up while they work
+     */
+    processOnboarding() {
+        if (this.state.isPaused || !this.state.isWorkHours()) return;
+        for (const agent of this.state.agents) {
+            if (agent.isWorking()) agent.advanceOnboarding(1);
+        }
+    }
+
+    /**
+     * Charge the day's operating costs and roll the day over
+     * @returns {Object} The closed day's stats, with the itemized operating costs
+     */
+    closeDay() {
+        const dialer = this.state.dialerManager.getActiveDialer();
+        if (dialer) this.connectLines(this.pacing.takeAll(), dialer);
+
+        const operatingCosts = this.operatingCosts.chargeDay();
+        this.breaks.closeDay();
+        this.state.callerIds.closeDay(this.getCallerIdSettings());
+        this.state.adjustReputation(Formulas.calculateReputationRecovery(
+            this.state.reputation,
+            this.state.upgradeEffects.reputationRecovery || 0,
+            this.configs.defaults?.game?.reputationBaseline
+        ));
+        this.reviewAbandonment();
+        const report = this.state.endDay();
+        report.operatingCosts = operatingCosts;
+
+        if (this.callbacks.onDayEnd) this.callbacks.onDayEnd(report);
+        return report;
     }
 
     processAgentStates() {
@@ -70,7 +135,7 @@ export class SimulationEngine {
             case AgentState.ON_CALL:
                 const wrapTime = Formulas.calculateWrapUpTime({
                     baseWrapUp: this.configs.defaults.agent.baseWrapUpSeconds,
-                    agentSpeedWrapup: agent.speedWrapup,
+                    agentSpeedWrapup: this.state.getEffectiveStats(agent).speedWrapup,
                     dialerAHTReduction: this.state.dialerManager.getActiveDialer()?.ahtReductionFactor || 0
                 });
                 agent.startWrapUp(wrapTime);
@@ -88,109 +153,550 @@ export class SimulationEngine {
         }
     }
 
+    processEvents() {
+        for (const notice of this.events.update()) {
+            if (this.callbacks.onEvent) this.callbacks.onEvent(notice);
+        }
+    }
+
     processDialing(dialer) {
+        if (dialer.isPaced()) {
+            this.processPacedDialing(dialer);
+            return;
+        }
+
         const availableAgents = this.state.getAvailableAgents();
-        const dialableLeads = this.state.leadPool.getDialableLeads();
+        const dialableCount = this.state.leadPool.getStats().dialable;
 
-        if (availableAgents.length === 0 || dialableLeads.length === 0) return;
+        if (availableAgents.length === 0 || dialableCount === 0) return;
 
-        const dialsThisTick = Math.ceil(dialer.dialsPerMinutePerAgent * availableAgents.length / this.ticksPerMinute);
+        const dialRate = dialer.dialsPerMinutePerAgent * this.state.getEventMultiplier('dial_rate_multiplier');
+        const dialsThisTick = Math.ceil(dialRate * availableAgents.length / this.ticksPerMinute);
 
-        for (let i = 0; i < Math.min(dialsThisTick, availableAgents.length, dialableLeads.length); i++) {
+        for (let i = 0; i < Math.min(dialsThisTick, availableAgents.length, dialableCount); i++) {
             const agent = availableAgents[i];
             const lead = this.state.leadPool.getNextLead(this.state.gameTime.hour, () => this.rng.random());
 
             if (!agent || !lead) break;
+            // Preview agents review the lead on the channel they would dial from
+            if (!dialer.isPreview() && this.pullKnownDnc(lead)) continue;
+            if (this.trunk.take(1) === 0) break;
+            if (dialer.isPreview() && this.skipInPreview(agent, lead, dialer)) continue;
 
             this.processDial(agent, lead, dialer);
         }
     }
 
-    processDial(agent, lead, dialer) {
-        agent.startDialing(this.configs.defaults.call.dialDurationSeconds);
+    /**
+     * With a scrubbing upgrade, pull a lead whose number is on a DNC list the
+     * floor holds instead of dialing it. Without one, or for listings the floor
+     * doesn't know about, the number is dialed and fined.
+     * @param {Lead} lead
+     * @returns {boolean} True if the lead was pulled
+     */
+    pullKnownDnc(lead) {
+        if (!(this.state.upgradeEffects.dncScrubbing > 0)) return false;
+        if (!this.state.dnc.isKnown(lead)) return false;
+        lead.markDNC();
+        return true;
+    }
+
+    /**
+     * A preview agent reads the lead's record first and passes on numbers on
+     * a DNC list the floor holds, which are pulled, and on leads below the
+     * dialer's intent bar, which go back to the pool for a while. Skipping
+     * still costs the review time.
+     * @param {Agent} agent
+     * @param {Lead} lead
+     * @param {Dialer} dialer - A preview dialer
+     * @returns {boolean} True if the agent skipped the lead
+     */
+    skipInPreview(agent, lead, dialer) {
+        const { reviewSeconds = 0, skipBelowIntent = 0, skipCooldownMinutes = 60 } = dialer.preview;
+        const knownDnc = this.state.dnc.isKnown(lead);
+        if (!knownDnc && lead.intentMultiplier >= skipBelowIntent) return false;
+
+        agent.startDialing(reviewSeconds);
+        if (knownDnc) lead.markDNC();
+        else lead.skip(this.state.gameTime.totalMinutes + skipCooldownMinutes);
+        this.state.recordPreviewSkip();
+        return true;
+    }
+
+    /**
+     * Paced dialers launch lines without waiting for an agent. Lines that have
+     * rung connect to free agents first, then new lines top up the pacing target.
+     * @param {Dialer} dialer
+     */
+    processPacedDialing(dialer) {
+        this.connectLines(this.pacing.takeConnected(), dialer);
+
+        const workingAgents = this.state.agents.filter(a => a.isWorking()).length;
+        const dialRate = dialer.dialsPerMinutePerAgent * this.state.getEventMultiplier('dial_rate_multiplier');
+        const lines = Math.min(this.pacing.getLinesToLaunch(dialer), Math.ceil(dialRate * workingAgents / this.ticksPerMinute));
+
+        for (let i = 0; i < lines; i++) {
+            const lead = this.state.leadPool.getNextLead(this.state.gameTime.hour, () => this.rng.random());
+            if (!lead) break;
+            if (this.pullKnownDnc(lead)) continue;
+            if (this.trunk.take(1) === 0) break;
+
+            this.pacing.launch(lead, this.placeDial(null, lead, dialer));
+        }
+    }
+
+    /**
+     * Hand connected lines to free agents
+     * @param {Object[]} lines - Items of { lead, dial } (dial as returned by placeDial)
+     * @param {Dialer} dialer
+     */
+    connectLines(lines, dialer) {
+        for (const { lead, dial } of lines) {
+            this.resolveDial(null, lead, dialer, dial);
+        }
+    }
+
+    /**
+     * Settle a dial once it has rung. AMD hang-ups never reach an agent: a
+     * machine it caught is a voicemail, a person it took for a machine is an
+     * abandoned call. Connects go to the dialing agent, or for paced lines to
+     * the first free agent; a person who answers with no agent free is
+     * abandoned, a machine nobody takes is dropped.
+     * @param {Agent|null} agent - Agent on the dial, or null for a paced line
+     * @param {Lead} lead
+     * @param {Dialer} dialer
+     * @param {Object} dial - As returned by placeDial
+     */
+    resolveDial(agent, lead, dialer, { answered, disposition, amdHangup, connects, callerId }) {
+        if (amdHangup) {
+            this.state.recordAmdResult(answered ? 'false_positive' : 'detected');
+            if (answered) this.abandonCall(lead, callerId);
+            else this.state.recordDisposition(disposition, lead);
+            return;
+        }
+        if (!connects) {
+            this.state.recordDisposition(disposition, lead);
+            return;
+        }
+
+        if (!agent) {
+            agent = this.state.getAvailableAgents()[0] ?? null;
+            agent?.recordDial();
+        }
+        if (answered) {
+            if (agent) this.processAnswer(agent, lead, dialer, callerId);
+            else this.abandonCall(lead, callerId);
+            return;
+        }
+
+        if (agent) {
+            if (dialer.isAmdOn()) this.state.recordAmdResult('missed');
+            this.takeMachine(agent);
+        }
+        this.state.recordDisposition(disposition, lead);
+    }
+
+    /**
+     * An agent handed an answering machine (one AMD missed, or with no AMD
+     * screening) listens to the greeting before dropping the line
+     * @param {Agent} agent
+     */
+    takeMachine(agent) {
+        const busy = agent.state === AgentState.DIALING ? agent.stateTimeRemaining : 0;
+        agent.startDialing(busy + (this.configs.defaults.call.voicemailSeconds ?? 0));
+    }
+
+    /**
+     * Dial due callbacks before new leads, each with the agent who took the original call.
+     * Callbacks still undialed after the grace window are missed and hurt the lead's odds.
+     * @param {Dialer} dialer
+     */
+    processCallbacks(dialer) {
+        const settings = this.configs.defaults.callbacks || {};
+        const now = this.state.gameTime.totalMinutes;
+        const queue = this.state.callbacks;
+
+        for (const callback of queue.takeMissed(now, settings.graceMinutes ?? 15)) {
+            this.state.leadPool.getLead(callback.leadId)?.missCallback(settings.missedConversionDecay ?? 0.7);
+            this.state.recordCallback(false);
+        }
+
+        for (const callback of queue.getDue(now)) {
+            const lead = this.state.leadPool.getLead(callback.leadId);
+            if (!lead || this.pullKnownDnc(lead)) {
+                queue.remove(callback.id);
+                continue;
+            }
+
+            // The original agent takes it; if they are busy or have left the floor, anyone free does
+            const owner = this.state.agents.find(a => a.id === callback.agentId);
+            const agent = owner?.isAvailable() ? owner : this.state.getAvailableAgents()[0];
+            if (!agent) continue;
+            if (this.trunk.take(1) === 0) break;
+
+            queue.remove(callback.id);
+            lead.startCallback();
+            this.state.recordCallback(true);
+            this.processDial(agent, lead, dialer, { isCallback: true });
+        }
+    }
+
+    /**
+     * Book a callback the contact asked for, within work hours
+     * @param {Agent} agent
+     * @param {Lead} lead
+     */
+    scheduleCallback(agent, lead) {
+        const settings = this.configs.defaults.callbacks || {};
+        const now = this.state.gameTime.totalMinutes;
+        const delay = this.rng.randomInt(settings.minDelayMinutes ?? 30, settings.maxDelayMinutes ?? 240);
+
+        lead.scheduleCallback();
+        this.state.callbacks.schedule({
+            leadId: lead.id,
+            agentId: agent.id,
+            dueAt: this.state.toWorkHours(now + delay, settings.graceMinutes ?? 15),
+            scheduledAt: now
+        });
+    }
+
+    /**
+     * An agent dials a lead and takes the call if a person answers
+     * @param {Agent} agent
+     * @param {Lead} lead
+     * @param {Dialer} dialer
+     * @param {Object} options
+     * @param {boolean} options.isCallback - A callback the contact asked for, never counted as over-dialing
+     */
+    processDial(agent, lead, dialer, { isCallback = false } = {}) {
+        agent.startDialing(this.configs.defaults.call.dialDurationSeconds + (dialer.preview?.reviewSeconds ?? 0));
         agent.recordDial();
-        lead.recordDial();
-        this.state.recordDial();
+
+        this.resolveDial(agent, lead, dialer, this.placeDial(agent, lead, dialer, { isCallback }));
+    }
+
+    /**
+     * Dial a lead from the next caller ID in rotation: count the dial, check
+     * compliance, roll whether a person or a machine answers and whether the
+     * dialer's AMD hangs up
+     * @param {Agent|null} agent - Agent on the dial, or null for a line a paced dialer launched
+     * @param {Lead} lead
+     * @param {Dialer} dialer
+     * @param {Object} options
+     * @param {boolean} options.isCallback - A callback the contact asked for, never counted as over-dialing
+     * @returns {Object} { answered, disposition, amdHangup, connects, callerId }
+     *   disposition - Outcome of an unanswered dial, null if a person answered
+     *   amdHangup - AMD dropped the line
+     *   connects - The line goes to an agent (a person, or a machine AMD missed or was off for)
+     *   callerId - Null while the floor owns no numbers
+     */
+    placeDial(agent, lead, dialer, { isCallback = false } = {}) {
+        const now = this.state.gameTime.totalMinutes;
+        lead.recordDial(now);
+        this.state.recordDial(!isCallback && lead.getAttemptsOn(now) > 1);
+        this.checkDnc(agent, lead);
+        this.checkCallingHours(agent, lead);
+
+        // Local presence only helps when the number shown is local to the lead
+        const localPresence = this.state.upgradeEffects.answerRateBonus || 0;
+        const callerId = this.state.callerIds.pick(lead, localPresence > 0);
+        callerId?.recordDial(this.getCallerIdSettings());
 
         const answerProb = Formulas.calculateAnswerProbability({
-            baseAnswerProb: lead.getAnswerProbability(this.state.gameTime.hour),
+            baseAnswerProb: lead.getAnswerProbability(this.state.gameTime.hour, this.state.gameTime.totalMinutes),
             leadIntent: lead.intentMultiplier,
-            hourOfDay: this.state.gameTime.hour,
+            hourOfDay: lead.getLocalHour(this.state.gameTime.hour),
             reputation: this.state.reputation,
             dialerConnectMultiplier: dialer.connectRateMultiplier,
-            localPresenceBonus: this.state.upgradeEffects.answerRateBonus || 0,
+            localPresenceBonus: !callerId || callerId.timeZone === lead.timeZone ? localPresence : 0,
             spamTagProbability: Formulas.calculateSpamTagProbability({
-                reputation: this.state.reputation,
-                dialVolume: this.state.dailyStats.dials,
+                reputation: callerId ? callerId.reputation : this.state.reputation,
+                dialVolume: callerId ? callerId.dialsToday : this.state.dailyStats.dials,
+                volumeThreshold: callerId ? this.getCallerIdSettings().dailyDialLimit : undefined,
+                spamTagged: callerId?.spamTagged ?? false,
                 dialerSpamMultiplier: dialer.spamRiskMultiplier,
-                spamReduction: this.state.upgradeEffects.spamReduction || 0
+                spamReduction: this.state.upgradeEffects.spamReduction || 0,
+                eventSpamMultiplier: this.state.getEventMultiplier('spam_rate_multiplier'),
+                repeatDialShare: this.state.dailyStats.repeatDials / this.state.dailyStats.dials,
+                overDialWeight: this.configs.defaults.reputation?.overDialSpamWeight
             }),
             timeFactors: this.configs.defaults.call.timeOfDayFactors
         });
 
-        if (this.rng.chance(answerProb)) {
-            this.processAnswer(agent, lead, dialer);
-        } else if (dialer.shouldAbandon(() => this.rng.random())) {
-            this.state.recordAbandonment();
-            this.state.adjustReputation(-0.5);
+        const answered = this.rng.chance(answerProb);
+        const disposition = answered ? null : this.rollUnanswered();
+        const machine = disposition === Disposition.VOICEMAIL;
+
+        // Without AMD an automated dialer can't tell a greeting from a person
+        let amdHangup = false;
+        if (dialer.isAmdOn() && (answered || machine)) {
+            const amd = dialer.getAmdRates();
+            amdHangup = this.rng.chance(answered ? amd.falsePositiveRate : amd.detectRate);
         }
+        const connects = !amdHangup && (answered || machine);
+
+        return { answered, disposition, amdHangup, connects, callerId };
+    }
+
+    /**
+     * Caller ID wear and recovery rules from defaults.json
+     * @returns {Object} { dailyDialLimit, wearPerDial, dailyRecovery, tagThreshold }
+     */
+    getCallerIdSettings() {
+        const callerId = this.configs.defaults?.callerId || {};
+        return {
+            dailyDialLimit: callerId.dailyDialLimit ?? 150,
+            wearPerDial: callerId.wearPerDial ?? 0,
+            dailyRecovery: callerId.dailyRecovery ?? 0,
+            tagThreshold: this.configs.defaults?.reputation?.spamTagThreshold ?? 40
+        };
+    }
+
+    /**
+     * Roll what happened to a dial nobody picked up
+     * @returns {string} Disposition: no answer, busy or voicemail
+     */
+    rollUnanswered() {
+        const weights = this.configs.defaults.dispositions?.unansweredWeights || { [Disposition.NO_ANSWER]: 1 };
+        return this.rng.pickWeighted(weights) || Disposition.NO_ANSWER;
+    }
+
+
+    /**
+     * A person answered a paced line but no agent was free, so the dialer hung up.
+     * A safe-harbor message softens both the regulatory count and the reputation hit.
+     * @param {Lead} lead
+     * @param {CallerIdNumber|null} callerId - Number the line was dialed from
+     */
+    abandonCall(lead, callerId = null) {
+        const weight = 1 - Formulas.clamp(this.state.upgradeEffects.safeHarbor || 0, 0, 1);
+
+        this.state.recordAnswered();
+        this.state.recordDisposition(Disposition.ABANDONED, lead);
+        this.state.recordAbandonment(weight);
+        this.state.adjustReputation(-0.5 * weight);
+        callerId?.adjustReputation(-0.5 * weight, this.getCallerIdSettings().tagThreshold);
+    }
+
+    /**
+     * Abandonment cap rules from defaults.json
+     * @returns {Object} { cap, windowDays, minAnswered, warningDays, fineDays, fine, reputationPenalty }
+     */
+    getAbandonmentSettings() {
+        const compliance = this.configs.defaults?.compliance || {};
+        return {
+            cap: compliance.abandonmentCap ?? 0.03,
+            windowDays: compliance.abandonmentWindowDays ?? 30,
+            minAnswered: compliance.abandonmentMinAnswered ?? 0,
+            warningDays: compliance.abandonmentWarningDays ?? 0,
+            fineDays: compliance.abandonmentFineDays ?? 0,
+            fine: compliance.abandonmentFine ?? 0,
+            reputationPenalty: compliance.abandonmentReputationPenalty ?? 0
+        };
+    }
+
+    /**
+     * Close the day's abandonment count into the rolling window. Each day a
+     * paced dialer leaves the window over the cap climbs the ladder: warnings,
+     * then fines, then a forced downgrade to the best unpaced dialer, which
+     * holds until the rate is back under the cap.
+     * @returns {Object|null} The violation, or null if the floor is within the cap
+     */
+    reviewAbandonment() {
+        const settings = this.getAbandonmentSettings();
+        const monitor = this.state.abandonment;
+        const { answered, rate } = monitor.closeDay(this.state.gameTime.day, settings.windowDays);
+        const dialer = this.state.dialerManager.getActiveDialer();
+
+        if (answered < settings.minAnswered || rate <= settings.cap) {
+            monitor.daysOverCap = 0;
+            if (rate <= settings.cap) monitor.pacedDialersSuspended = false;
+            return null;
+        }
+        if (!dialer?.isPaced()) {
+            monitor.daysOverCap = 0;
+            return null;
+        }
+
+        monitor.daysOverCap++;
+        let action = 'warning';
+        if (monitor.daysOverCap > settings.warningDays + settings.fineDays) {
+            action = 'downgrade';
+        } else if (monitor.daysOverCap > settings.warningDays) {
+            action = 'fine';
+        }
+
+        const details = { rate, cap: settings.cap, action, dialerId: dialer.id };
+        if (action === 'downgrade') {
+            const fallback = this.state.dialerManager.getUnlockedDialers()
+                .filter(d => !d.isPaced())
+                .reduce((best, d) => (!best || d.tier > best.tier ? d : best), null);
+            if (fallback) {
+                this.state.dialerManager.setActiveDialer(fallback.id);
+                details.downgradedTo = fallback.id;
+            }
+            monitor.pacedDialersSuspended = true;
+            monitor.daysOverCap = 0;
+        }
+
+        const violation = this.state.recordViolation({
+            type: 'abandonment',
+            lead: null,
+            agent: null,
+            fine: action === 'warning' ? 0 : settings.fine,
+            reputationPenalty: action === 'warning' ? 0 : settings.reputationPenalty,
+            details
+        });
+
+        if (this.callbacks.onViolation) {
+            this.callbacks.onViolation(violation);
+        }
+        return violation;
     }
 
-    processAnswer(agent, lead, dialer) {
+    /**
+     * A dial to a number on a DNC list is a violation whether or not we knew
+     * about the listing. The lead is pulled so it is never dialed again.
+     */
+    checkDnc(agent, lead) {
+        const list = this.state.dnc.getListing(lead);
+        if (!list) return;
+
+        const violation = this.state.recordViolation({
+            type: 'dnc',
+            lead,
+            agent,
+            fine: this.configs.defaults.economy?.compliancePenaltyBase ?? 0,
+            reputationPenalty: this.configs.defaults.compliance?.dncViolationReputationPenalty ?? 0,
+            details: { list }
+        });
+        this.state.dnc.addOptOut(lead.phone);
+        lead.markDNC();
+
+        if (this.callbacks.onViolation) {
+            this.callbacks.onViolation(violation);
+        }
+    }
+
+    /**
+     * A dial outside 8am-9pm on the lead's own clock is a violation
+     */
+    checkCallingHours(agent, lead) {
+        if (lead.isWithinCallingHours(this.state.gameTime.hour)) return;
+
+        const violation = this.state.recordViolation({
+            type: 'calling_hours',
+            lead,
+            agent,
+            fine: this.configs.defaults.economy?.compliancePenaltyBase ?? 0,
+            reputationPenalty: this.configs.defaults.compliance?.callingHoursReputationPenalty ?? 0,
+            details: { timeZone: lead.timeZone, localHour: lead.getLocalHour(this.state.gameTime.hour) }
+        });
+
+        if (this.callbacks.onViolation) {
+            this.callbacks.onViolation(violation);
+        }
+    }
+
+    /**
+     * Resolve an answered dial: wrong number, or a live contact that ends in a
+     * sale, a callback request, a DNC request or a plain "not interested".
+     * Complaints also count against the caller ID the call came from.
+     * @param {Agent} agent
+     * @param {Lead} lead
+     * @param {Dialer} dialer
+     * @param {CallerIdNumber|null} callerId
+     */
+    processAnswer(agent, lead, dialer, callerId = null) {
+        this.state.recordAnswered();
+        const dispositions = this.configs.defaults.dispositions || {};
+        if (this.rng.chance(dispositions.wrongNumberRate ?? 0)) {
+            lead.markInvalid();
+            this.state.recordDisposition(Disposition.WRONG_NUMBER, lead);
+            return;
+        }
+
         lead.recordContact();
         this.state.recordContact();
+        const stats = this.state.getEffectiveStats(agent);
 
         const conversionProb = Formulas.calculateConversionProbability({
-            baseConversionProb: lead.getConversionProbability(),
-            agentMultiplier: agent.getConversionMultiplier(),
+            baseConversionProb: lead.getConversionProbability(this.state.gameTime.totalMinutes),
+            agentMultiplier: agent.getConversionMultiplier(stats),
             fatigue: agent.fatigue,
             dialerQAMultiplier: dialer.qaAssistMultiplier,
             leadRoutingBonus: this.state.upgradeEffects.leadRoutingEfficiency || 0,
-            morale: agent.morale
+            morale: agent.morale,
+            eventMultiplier: this.state.getEventMultiplier('conversion_multiplier'),
+            previewMultiplier: Formulas.calculatePreviewMultiplier(lead.intentMultiplier, dialer.preview?.conversionBoost)
         });
 
         const aht = Formulas.calculateAHT({
             baseAHT: this.configs.defaults.agent.baseAHTSeconds,
-            agentSpeedWrapup: agent.speedWrapup,
-            dialerAHTReduction: dialer.ahtReductionFactor,
-            consistencyVariance: 1 - agent.consistency,
+            agentSpeedWrapup: stats.speedWrapup,
+            dialerAHTReduction: this.getAHTReduction(dialer),
+            consistencyVariance: 1 - stats.consistency,
             randomFn: () => this.rng.random()
         });
 
         agent.startCall(aht, { lead, duration: aht });
+        this.state.recordCarrierMinutes(Math.ceil(aht / 60));
 
         if (this.rng.chance(conversionProb)) {
+            this.state.recordDisposition(Disposition.SALE, lead);
             const revenue = Formulas.calculateConversionRevenue({
                 baseRevenue: this.configs.defaults.call.baseRevenuePerConversion,
-                leadQualityMultiplier: lead.intentMultiplier
+                leadQualityMultiplier: lead.intentMultiplier,
+                eventMultiplier: this.state.getEventMultiplier('revenue_multiplier')
             });
 
-            lead.recordConversion();
+            lead.recordConversion(this.state.gameTime.totalMinutes);
             agent.recordConversion(revenue);
-            this.state.recordConversion(revenue);
+            this.state.recordConversion(revenue, lead.id);
 
             if (this.callbacks.onConversion) {
                 this.callbacks.onConversion({ agent, lead, revenue });
             }
+        } else if (this.rng.chance(this.configs.defaults.callbacks?.requestProbability ?? 0)) {
+            this.state.recordDisposition(Disposition.CALLBACK_REQUESTED, lead);
+            this.scheduleCallback(agent, lead);
+        } else if (this.rng.chance(dispositions.dncRequestRate ?? 0)) {
+            this.state.recordDisposition(Disposition.DNC_REQUEST, lead);
+            lead.markDNC();
+            this.state.dnc.addOptOut(lead.phone);
+        } else {
+            this.state.recordDisposition(Disposition.NOT_INTERESTED, lead);
         }
 
-        if (this.rng.chance(lead.complianceRisk * (1 - agent.complianceDiscipline))) {
+        const complaintRisk = lead.complianceRisk * (1 - stats.complianceDiscipline)
+            * (1 - (this.state.upgradeEffects.complianceRiskReduction || 0));
+        if (this.rng.chance(complaintRisk)) {
             agent.recordComplaint();
             this.state.recordComplaint();
             this.state.adjustReputation(-2);
+            callerId?.adjustReputation(this.configs.defaults.reputation?.complaintImpact ?? -2, this.getCallerIdSettings().tagThreshold);
         }
     }
 
+    /**
+     * Dialer and upgrade talk-time reductions, stacked
+     * @param {Dialer} dialer
+     * @returns {number}
+     */
+    getAHTReduction(dialer) {
+        return 1 - (1 - dialer.ahtReductionFactor) * (1 - (this.state.upgradeEffects.ahtReduction || 0));
+    }
+
     processFatigue() {
         for (const agent of this.state.agents) {
             if (agent.state === AgentState.ON_CALL) {
                 const gain = Formulas.calculateFatigueGain(
-                    agent.resilience,
+                    this.state.getEffectiveStats(agent).resilience,
                     this.configs.defaults.agent.baseFatigueGainPerCallMinute / this.ticksPerMinute,
                     this.state.upgradeEffects.fatigueGainReduction || 0
                 );
                 agent.adjustFatigue(gain);
-            } else if (agent.state === AgentState.BREAK) {
+            } else if (agent.state === AgentState.BREAK || agent.state === AgentState.UNAVAILABLE) {
                 const recovery = Formulas.calculateFatigueRecovery(
                     this.configs.defaults.agent.baseFatigueRecoveryPerMinute / this.ticksPerMinute,
                     this.state.upgradeEffects.fatigueRecoveryBonus || 0
@@ -210,34 +716,41 @@ export class SimulationEngine {
         const skill = agent.currentCall?.trainingSkill;
         if (!skill) return;
 
+        const training = this.configs.defaults.training;
         const xp = Formulas.calculateTrainingXP(
-            this.configs.defaults.training.baseXPPerSession,
-            agent[skill] || 0,
-            this.state.upgradeEffects.trainingEfficiency || 0
+            training.baseXPPerSession,
+            agent.getTrainedLevel(skill),
+            this.state.upgradeEffects.trainingEfficiency || 0,
+            training.diminishingFactor
         );
 
         agent.addTrainingXP(skill, xp);
         agent.currentCall = null;
+
+        const previousLevel = agent.getTrainedLevel(skill);
+        const steps = agent.applyTrainingLevels(skill, training.baseXPPerLevel, training.maxSkillLevel ?? 1);
+        if (steps > 0 && this.callbacks.onLevelUp) {
+            this.callbacks.onLevelUp({ agent, skill, steps, previousLevel, newLevel: agent.getTrainedLevel(skill) });
+        }
     }
 
     simulateDay() {
         const originalHour = this.state.gameTime.hour;
         const results = { dials: 0, contacts: 0, conversions: 0, revenue: 0 };
 
-        while (this.state.gameTime.hour < 17 && this.state.gameTime.hour >= 9) {
+        while (this.state.gameTime.hour < this.state.shift.endHour && this.state.gameTime.hour >= 9) {
             this.processMinute();
         }
 
-        return this.state.endDay();
+        return this.closeDay();
     }
 
     fastForward(minutes) {
         const results = [];
         for (let i = 0; i < minutes; i++) {
             this.processMinute();
-            if (this.state.gameTime.hour >= 17) {
-                results.push(this.state.endDay());
-                this.state.gameTime.hour = 9;
+            if (this.state.gameTime.hour >= this.state.shift.endHour) {
+                results.push(this.closeDay());
             }
         }
         return results;
@@ -247,6 +760,7 @@ export class SimulationEngine {
         const ds = this.state.dailyStats;
         const contactRate = ds.dials > 0 ? ds.contacts / ds.dials : 0;
         const conversionRate = ds.contacts > 0 ? ds.conversions / ds.contacts : 0;
+        const callbackAdherence = this.state.getCallbackAdherence();
 
         return {
             day: this.state.gameTime.day,
@@ -259,10 +773,57 @@ export class SimulationEngine {
             conversions: ds.conversions,
             revenue: ds.revenue,
             costs: ds.costs,
+            capex: ds.capex,
             profit: ds.revenue - ds.costs,
+            operatingCostsPerDay: this.operatingCosts.getDailyTotal(),
             contactRate: (contactRate * 100).toFixed(1) + '%',
             conversionRate: (conversionRate * 100).toFixed(1) + '%',
-            reputation: this.state.reputation.toFixed(0)
+            callbackAdherence: callbackAdherence === null ? '—' : (callbackAdherence * 100).toFixed(1) + '%',
+            abandonmentRate: this.state.abandonment.getWindow(this.getAbandonmentSettings().windowDays).rate,
+            trunk: this.getTrunkMetrics(),
+            pendingCallbacks: this.state.callbacks.size,
+            dispositions: { ...ds.dispositions },
+            reputation: this.state.reputation.toFixed(0),
+            advanced: (this.state.upgradeEffects.metricsLevel || 0) >= 1 ? this.getAdvancedMetrics() : null
+        };
+    }
+
+    /**
+     * Channel usage today. The floor is channel-bound when dials waited for a
+     * free channel on more than the threshold share of ticks; otherwise agents
+     * are what limit it.
+     * @returns {Object} { channels, inUse, utilization, channelBoundShare, constraint }
+     */
+    getTrunkMetrics() {
+        const ds = this.state.dailyStats;
+        const channelBoundShare = ds.channelTicks > 0 ? ds.channelBoundTicks / ds.channelTicks : 0;
+        const threshold = this.configs.defaults?.telephony?.channelBoundThreshold ?? 0.1;
+
+        return {
+            channels: this.state.trunkChannels,
+            inUse: this.trunk.getChannelsInUse(),
+            utilization: ds.channelCapacity > 0 ? ds.channelsInUse / ds.channelCapacity : 0,
+            channelBoundShare,
+            constraint: channelBoundShare > threshold ? 'channels' : 'agents'
+        };
+    }
+
+    /**
+     * Deeper KPIs unlocked by analytics upgrades
+     * @returns {Object}
+     */
+    getAdvancedMetrics() {
+        const ds = this.state.dailyStats;
+        const agents = this.state.agents;
+        const topAgent = agents.reduce((best, a) =>
+            (!best || a.dailyStats.revenue > best.dailyStats.revenue ? a : best), null);
+
+        return {
+            revenuePerDial: ds.dials > 0 ? ds.revenue / ds.dials : 0,
+            revenuePerAgent: agents.length > 0 ? ds.revenue / agents.length : 0,
+            abandonRate: ds.answered > 0 ? ds.abandonments / ds.answered : 0,
+            complaintRate: ds.contacts > 0 ? ds.complaints / ds.contacts : 0,
+            topAgent: topAgent ? { id: topAgent.id, name: topAgent.name, revenue: topAgent.dailyStats.revenue } : null
         };
     }
 }
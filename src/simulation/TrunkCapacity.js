@@ -0,0 +1,60 @@
+/**
+ * Trunk Capacity
+ * Caps outbound calling at the floor's telephony channels. Every ringing
+ * line, dialing agent and live call holds a channel; dials past the free
+ * channels wait for the next tick. Each tick's usage is recorded so players
+ * can see whether channels or agents are what hold the floor back.
+ */
+
+import { AgentState } from '../models/Agent.js';
+
+export class TrunkCapacity {
+    /**
+     * @param {GameState} gameState
+     * @param {PacingEngine} pacing - Holds paced dialers' ringing lines
+     */
+    constructor(gameState, pacing) {
+        this.state = gameState;
+        this.pacing = pacing;
+        this.heldBack = false; // a dial waited for a channel this tick
+    }
+
+    /**
+     * Channels held by ringing lines, dialing agents and live calls
+     * @returns {number}
+     */
+    getChannelsInUse() {
+        let inUse = this.pacing.lines.length;
+        for (const agent of this.state.agents) {
+            if (agent.state === AgentState.DIALING || agent.state === AgentState.ON_CALL) inUse++;
+        }
+        return inUse;
+    }
+
+    startTick() {
+        this.heldBack = false;
+    }
+
+    /**
+     * Claim free channels for new dials. A dial holds its channel from when
+     * its line or dialing agent is counted in use.
+     * @param {number} wanted - Dials the floor would place
+     * @returns {number} Dials that get a channel
+     */
+    take(wanted) {
+        const channels = this.state.trunkChannels;
+        if (channels === null) return wanted;
+
+        const granted = Math.min(wanted, Math.max(0, channels - this.getChannelsInUse()));
+        if (granted < wanted) this.heldBack = true;
+        return granted;
+    }
+
+    /**
+     * Record the tick's channel usage in the daily stats
+     */
+    endTick() {
+        if (this.state.trunkChannels === null) return;
+        this.state.recordChannelUsage(this.getChannelsInUse(), this.state.trunkChannels, this.heldBack);
+    }
+}
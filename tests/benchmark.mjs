@@ -0,0 +1,58 @@
+/**
+ * Tick benchmark for Call Center Tycoon
+ * Times an hour of simulation with growing lead pools to show tick cost stays flat.
+ * Run with: node tests/benchmark.mjs
+ */
+
+import { readFileSync } from 'node:fs';
+
+const { GameState } = await import('../src/models/GameState.js');
+const { LeadSource } = await import('../src/models/Lead.js');
+const { Dialer } = await import('../src/models/Dialer.js');
+const { SimulationEngine } = await import('../src/simulation/SimulationEngine.js');
+const { SeededRNG } = await import('../src/simulation/SeededRNG.js');
+
+const loadJson = name => JSON.parse(readFileSync(new URL(`../data/${name}.json`, import.meta.url), 'utf8'));
+
+const defaults = loadJson('defaults');
+const dialers = loadJson('dialers').dialers;
+const leadSources = loadJson('leadSources').leadSources;
+
+const POOL_SIZES = [1000, 10000, 100000];
+const AGENTS = 12;
+const MINUTES = 60;
+
+function setup(poolSize) {
+    const state = new GameState();
+    const rng = new SeededRNG(42);
+
+    for (const config of dialers) state.dialerManager.addDialer(new Dialer(config));
+    state.dialerManager.unlockDialer('power');
+    state.dialerManager.setActiveDialer('power');
+
+    for (const config of leadSources) state.leadPool.addSource(new LeadSource(config));
+    state.leadPool.generateLeads('standard_leads', poolSize, () => rng.random());
+
+    for (let i = 0; i < AGENTS; i++) {
+        state.addAgent(defaults.agent.baseStats, defaults.agent.statVariance, () => rng.random());
+    }
+
+    state.cash = 1e9;
+    state.isPaused = false;
+    state.advanceTime(60); // 10:00, inside every time zone's calling hours
+
+    return new SimulationEngine(state, { defaults, dialers, leadSources, upgrades: [], events: [] }, 42);
+}
+
+console.log(`Tick benchmark: ${AGENTS} agents, power dialer, ${MINUTES} game minutes\n`);
+
+for (const poolSize of POOL_SIZES) {
+    const engine = setup(poolSize);
+    const start = performance.now();
+    for (let i = 0; i < MINUTES; i++) engine.processMinute();
+    const elapsed = performance.now() - start;
+
+    const ticks = MINUTES * engine.ticksPerMinute;
+    const dials = engine.state.dailyStats.dials;
+    console.log(`${String(poolSize).padStart(7)} leads: ${(elapsed / ticks).toFixed(3)} ms/tick (${dials} dials)`);
+}
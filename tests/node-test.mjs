@@ -115,7 +115,7 @@ async function runTests() {
 
     console.log('\n📦 Testing Lead...\n');
 
-    const { Lead, LeadPool, LeadSource } = await import('../src/models/Lead.js');
+    const { Lead, LeadPool, LeadSource, Disposition, RoutingStrategy, TIME_ZONES, MINUTES_PER_DAY } = await import('../src/models/Lead.js');
 
     await test('Lead initializes correctly', () => {
         const lead = new Lead({
@@ -183,6 +183,1457 @@ async function runTests() {
         assertTrue(!state.isWorkHours());
     });
 
+    console.log('\n📦 Testing EventManager...\n');
+
+    const { EventManager } = await import('../src/simulation/EventManager.js');
+
+    const eventConfigs = [
+        {
+            id: 'crackdown',
+            name: 'Crackdown',
+            triggerConditions: { minDialsPerDay: 500, maxReputation: 60 },
+            probability: 1,
+            durationMinutes: 30,
+            effects: [{ type: 'spam_rate_multiplier', value: 1.5 }]
+        },
+        {
+            id: 'viral',
+            name: 'Viral',
+            triggerConditions: {},
+            probability: 1,
+            durationMinutes: 30,
+            effects: [{ type: 'conversion_multiplier', value: 1.2 }, { type: 'reputation_boost', value: 5 }]
+        }
+    ];
+
+    await test('EventManager checks trigger conditions', () => {
+        const state = new GameState();
+        const events = new EventManager(state, eventConfigs, {}, () => 0);
+        const crackdown = events.getEventConfig('crackdown');
+        assertTrue(!events.meetsConditions(crackdown));
+        state.dailyStats.dials = 600;
+        state.reputation = 50;
+        assertTrue(events.meetsConditions(crackdown));
+    });
+
+    await test('EventManager activates, applies and expires events', () => {
+        const state = new GameState();
+        const events = new EventManager(state, eventConfigs, {}, () => 0);
+
+        const notices = events.update();
+        assertEqual(notices.length, 1);
+        assertEqual(notices[0].event.eventId, 'viral');
+        assertEqual(state.reputation, 80);
+        assertEqual(state.getEventMultiplier('conversion_multiplier'), 1.2);
+
+        state.advanceTime(30);
+        const ended = events.update().filter(n => n.type === 'ended');
+        assertEqual(ended.length, 1);
+        assertEqual(state.getEventMultiplier('conversion_multiplier'), 1);
+        assertEqual(state.eventHistory.length, 1);
+    });
+
+    await test('EventManager sidelines and restores targeted agents', () => {
+        const state = new GameState();
+        const agent = state.addAgent({}, 0, () => 0.5);
+        const events = new EventManager(state, [{
+            id: 'burnout',
+            name: 'Burnout',
+            durationMinutes: 10,
+            effects: [{ type: 'agent_unavailable', target: 'top_performer' }]
+        }], {}, () => 0.5);
+
+        const event = events.activate('burnout');
+        assertEqual(agent.state, AgentState.UNAVAILABLE);
+        events.expire(event);
+        assertEqual(agent.state, AgentState.IDLE);
+    });
+
+    const dealConfig = {
+        id: 'deal',
+        name: 'Deal',
+        durationMinutes: 60,
+        effects: [{ type: 'spam_rate_multiplier', value: 1.5 }],
+        choices: [
+            { text: 'Buy', cost: 175, effects: [{ type: 'add_leads', value: 20, complianceRisk: 0.3 }] },
+            { text: 'Verify', cost: 0, effects: [{ type: 'spam_rate_multiplier', value: 0.8 }] }
+        ]
+    };
+
+    const setupDecisionState = () => {
+        const state = new GameState();
+        const source = new LeadSource({ id: 'standard_leads', name: 'Standard' });
+        source.unlocked = true;
+        state.leadPool.addSource(source);
+        return state;
+    };
+
+    await test('Event choices charge cost and add leads with custom risk', () => {
+        const state = setupDecisionState();
+        const events = new EventManager(state, [dealConfig], {}, () => 0.5);
+        const event = events.activate('deal');
+
+        assertEqual(state.pendingDecisions.length, 1);
+        assertTrue(events.resolveDecision(event.id, 0));
+        assertEqual(state.cash, 325);
+        assertEqual(state.leadPool.getStats().total, 20);
+        assertEqual(state.leadPool.getDialableLeads()[0].complianceRisk, 0.3);
+        assertEqual(state.pendingDecisions.length, 0);
+    });
+
+    await test('Event choices replace event multipliers and refuse unaffordable options', () => {
+        const state = setupDecisionState();
+        state.cash = 100;
+        const events = new EventManager(state, [dealConfig], {}, () => 0.5);
+        const event = events.activate('deal');
+
+        assertTrue(!events.resolveDecision(event.id, 0));
+        assertTrue(events.resolveDecision(event.id, 1));
+        assertEqual(state.getEventMultiplier('spam_rate_multiplier'), 0.8);
+    });
+
+    await test('Ignored decisions fall back to the default choice at the deadline', () => {
+        const state = setupDecisionState();
+        const events = new EventManager(state, [{ ...dealConfig, defaultChoice: 1 }],
+            { events: { decisionTimeoutMinutes: 15 } }, () => 0.5);
+        events.activate('deal');
+
+        state.advanceTime(15);
+        const notices = events.update();
+        assertEqual(notices[0].type, 'decision_defaulted');
+        assertEqual(state.pendingDecisions.length, 0);
+        assertEqual(state.cash, 500);
+        assertEqual(state.getEventMultiplier('spam_rate_multiplier'), 0.8);
+    });
+
+    await test('Unaffordable default choices fall back to a free choice and leave the queue', () => {
+        const state = setupDecisionState();
+        state.cash = 100;
+        const events = new EventManager(state, [{ ...dealConfig, defaultChoice: 0 }],
+            { events: { decisionTimeoutMinutes: 15 } }, () => 0.5);
+        events.activate('deal');
+
+        state.advanceTime(15);
+        assertEqual(events.update().filter(n => n.type === 'decision_defaulted').length, 1);
+        assertEqual(state.pendingDecisions.length, 0);
+        assertEqual(state.cash, 100);
+        assertEqual(state.getEventMultiplier('spam_rate_multiplier'), 0.8);
+        state.advanceTime(1);
+        assertEqual(events.update().filter(n => n.type === 'decision_defaulted').length, 0, 'Notified once');
+
+        const paidOnly = { ...dealConfig, id: 'paid', choices: [dealConfig.choices[0]], defaultChoice: 0 };
+        const strict = new EventManager(state, [paidOnly], {}, () => 0.5);
+        strict.expire(strict.activate('paid'));
+        assertEqual(state.pendingDecisions.length, 0, 'No free choice: nothing applied');
+        assertEqual(state.cash, 100);
+        assertEqual(state.eventHistory.at(-1).choice, null);
+    });
+
+    console.log('\n📦 Testing OperatingCosts...\n');
+
+    const { OperatingCosts } = await import('../src/economy/OperatingCosts.js');
+    const { SimulationEngine } = await import('../src/simulation/SimulationEngine.js');
+
+    const costDefaults = {
+        game: { workdayStartHour: 9, workdayEndHour: 17 },
+        agent: { baseWagePerHour: 18 }
+    };
+
+    const setupCostState = () => {
+        const state = new GameState();
+        const power = new Dialer({ id: 'power', name: 'Power', costPerAgentPerDay: 15 });
+        power.unlocked = true;
+        state.dialerManager.addDialer(power);
+        state.dialerManager.setActiveDialer('power');
+        state.addAgent({}, 0, () => 0.5);
+        state.addAgent({}, 0, () => 0.5);
+        return state;
+    };
+
+    await test('OperatingCosts itemizes wages and dialer license', () => {
+        const costs = new OperatingCosts(setupCostState(), costDefaults);
+        const items = costs.getDailyCostItems();
+        assertEqual(items.filter(i => i.category === 'wages').length, 2);
+        assertEqual(items.find(i => i.category === 'dialer_license').amount, 30);
+        assertEqual(costs.getDailyTotal(), 2 * 144 + 30);
+    });
+
+    await test('Day close charges operating costs before stats roll over', () => {
+        const state = setupCostState();
+        const engine = new SimulationEngine(state, { defaults: costDefaults }, 1);
+        state.gameTime.hour = 23;
+        state.gameTime.minute = 59;
+
+        let report = null;
+        engine.on('onDayEnd', r => { report = r; });
+        engine.processMinute();
+
+        assertEqual(state.gameTime.day, 2);
+        assertEqual(report.costs, 318);
+        assertEqual(report.operatingCosts.length, 3);
+        assertEqual(state.cash, 500 - 318);
+    });
+
+    console.log('\n📦 Testing Ledger...\n');
+
+    await test('adjustCash records categorized transactions', () => {
+        const state = new GameState();
+        state.adjustCash(120, 'sales', 'lead_1');
+        state.adjustCash(-300, 'upgrades', 'script_training');
+        state.adjustCash(-25, 'training', 'agent_1');
+
+        const txns = state.ledger.getTransactions({ day: 1 });
+        assertEqual(txns.length, 3);
+        assertEqual(txns[1].kind, 'capex');
+        assertEqual(state.ledger.getTransactions({ sourceId: 'lead_1' })[0].category, 'sales');
+
+        // Capital spend is tracked apart from operating costs
+        assertEqual(state.dailyStats.costs, 25);
+        assertEqual(state.dailyStats.capex, 300);
+    });
+
+    await test('Ledger builds daily and lifetime P&L and cash flow', () => {
+        const state = new GameState();
+        state.adjustCash(200, 'sales', 'lead_1');
+        state.adjustCash(-50, 'wages', 'agent_1');
+        state.adjustCash(-100, 'upgrades', 'break_room');
+        state.endDay();
+        state.adjustCash(100, 'sales', 'lead_2');
+
+        const day1 = state.ledger.getDailyPnL(1);
+        assertEqual(day1.totalRevenue, 200);
+        assertEqual(day1.totalOperatingExpenses, 50);
+        assertEqual(day1.operatingProfit, 150);
+        assertEqual(day1.totalCapitalExpenditures, 100);
+
+        const flow = state.ledger.getCashFlow(1);
+        assertEqual(flow.openingCash, 500);
+        assertEqual(flow.investing, -100);
+        assertEqual(flow.closingCash, 550);
+        assertEqual(state.ledger.getCashFlow(2).openingCash, 550);
+
+        const lifetime = state.ledger.getLifetimePnL();
+        assertEqual(lifetime.days, 2);
+        assertEqual(lifetime.operatingProfit, 250);
+    });
+
+    await test('Ledger survives save and load', () => {
+        const state = new GameState();
+        state.adjustCash(-40, 'leads', 'standard_leads');
+        const loaded = new GameState();
+        loaded.loadFromJSON(JSON.parse(JSON.stringify(state.toJSON())), {});
+        assertEqual(loaded.ledger.getDailyPnL(1).operatingExpenses.leads, 40);
+        assertEqual(loaded.ledger.getTransactions().length, 1);
+    });
+
+    console.log('\n📦 Testing LeadMarketplace...\n');
+
+    const { LeadMarketplace } = await import('../src/economy/LeadMarketplace.js');
+
+    const setupMarket = () => {
+        const state = new GameState();
+        state.cash = 10000;
+        state.leadPool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard', costPerLead: 2, supplyPerDay: 1000 }));
+        state.leadPool.addSource(new LeadSource({ id: 'premium_leads', name: 'Premium', costPerLead: 8, unlockCost: 1500 }));
+        const market = new LeadMarketplace(state, {
+            volumeDiscounts: [{ minQuantity: 100, discount: 0.1 }],
+            surgeThreshold: 0.5,
+            surgeRate: 1.0
+        });
+        return { state, market };
+    };
+
+    await test('Marketplace charges costPerLead with volume discount', () => {
+        const { state, market } = setupMarket();
+        assertEqual(market.quote('standard_leads', 50).total, 100);
+
+        const result = market.buy('standard_leads', 100, () => 0.5);
+        assertTrue(result.success);
+        assertEqual(result.quote.total, 180);
+        assertEqual(state.cash, 9820);
+        assertEqual(state.leadPool.getStats().total, 100);
+        assertEqual(state.leadPool.sources.get('standard_leads').inventory, 900);
+    });
+
+    await test('Marketplace applies surge pricing and respects inventory and locks', () => {
+        const { market } = setupMarket();
+        const surge = market.quote('standard_leads', 800);
+        assertInRange(surge.surgeMultiplier, 1.29, 1.31);
+        assertEqual(market.quote('standard_leads', 1001).reason, 'insufficient_inventory');
+        assertEqual(market.quote('premium_leads', 10).reason, 'locked');
+    });
+
+    await test('Lead source inventory replenishes at day end', () => {
+        const { state, market } = setupMarket();
+        market.buy('standard_leads', 1000, () => 0.5);
+        assertEqual(state.leadPool.sources.get('standard_leads').inventory, 0);
+        state.endDay();
+        assertEqual(state.leadPool.sources.get('standard_leads').inventory, 1000);
+        state.endDay();
+        state.endDay();
+        assertEqual(state.leadPool.sources.get('standard_leads').inventory, 2000);
+    });
+
+    await test('Lead sources unlock only after prerequisites and charge unlock cost', async () => {
+        const { Game } = await import('../src/Game.js');
+        const game = new Game();
+        game.state = new GameState();
+        game.state.cash = 6000;
+        game.state.leadPool.addSource(new LeadSource({ id: 'premium_leads', name: 'Premium', tier: 3, unlockCost: 1500 }));
+        game.state.leadPool.addSource(new LeadSource({
+            id: 'transfer_leads', name: 'Transfers', tier: 4, unlockCost: 5000, prerequisites: ['premium_leads']
+        }));
+
+        assertTrue(!game.unlockLeadSource('transfer_leads'));
+        assertEqual(game.state.cash, 6000);
+        assertTrue(game.unlockLeadSource('premium_leads'));
+        assertEqual(game.state.cash, 4500);
+        assertTrue(!game.unlockLeadSource('transfer_leads'), 'Cannot afford');
+        assertEqual(game.getLeadSources()[0].id, 'premium_leads');
+        assertEqual(game.state.ledger.getDailyPnL(1).capitalExpenditures.lead_source_unlock, 1500);
+    });
+
+    console.log('\n📦 Testing BreakScheduler...\n');
+
+    const { BreakScheduler } = await import('../src/simulation/BreakScheduler.js');
+
+    const breakDefaults = {
+        game: { workdayStartHour: 9, workdayEndHour: 17, breakDurationMinutes: 15, breakFrequencyMinutes: 120,
+            breakMaxShare: 0.25, breakGraceMinutes: 15, breakDelayMoralePenaltyPerMinute: 0.01, breakSkippedMoralePenalty: 0.05 },
+        agent: { fatigueThresholdCritical: 0.9 }
+    };
+
+    const setupBreakState = (agentCount) => {
+        const state = new GameState();
+        for (let i = 0; i < agentCount; i++) state.addAgent({}, 0, () => 0.5);
+        return state;
+    };
+
+    await test('Breaks are staggered but critical fatigue forces a break', () => {
+        const state = setupBreakState(4);
+        const breaks = new BreakScheduler(state, breakDefaults);
+        breaks.update();
+        state.advanceTime(120);
+
+        assertEqual(breaks.update().length, 1, 'Only one of four may break at once');
+        state.agents[3].fatigue = 0.95;
+        const forced = breaks.update();
+        assertEqual(forced.length, 1);
+        assertEqual(forced[0].id, state.agents[3].id);
+        assertEqual(state.agents.filter(a => a.state === 'break').length, 2);
+    });
+
+    await test('Breaks never empty the floor and delays cost morale', () => {
+        const state = setupBreakState(2);
+        const breaks = new BreakScheduler(state, breakDefaults);
+        breaks.update();
+        state.advanceTime(120);
+        state.agents[0].fatigue = 0.95;
+        state.agents[1].fatigue = 0.95;
+
+        assertEqual(breaks.update().length, 1);
+        const waiting = state.agents.find(a => a.state !== 'break');
+        state.advanceTime(16);
+        breaks.update();
+        assertEqual(waiting.state, 'idle');
+        assertInRange(waiting.morale, 0.689, 0.691);
+    });
+
+    await test('Skipped breaks cost morale at day close', () => {
+        const state = setupBreakState(1);
+        const breaks = new BreakScheduler(state, breakDefaults);
+        state.agents[0].dailyStats.breaks = 1;
+        breaks.closeDay();
+        assertEqual(breaks.getExpectedBreaksPerShift(), 3);
+        assertInRange(state.agents[0].morale, 0.599, 0.601);
+        assertEqual(state.agents[0].lastBreakAt, null, 'Clock restarts with the next shift');
+    });
+
+    console.log('\n📦 Testing Training...\n');
+
+    await test('Training XP levels skills and carries leftover XP forward', () => {
+        const agent = new Agent({ id: 'trainee', baseStats: { charisma: 0.3 }, statVariance: 0 });
+        const required = Formulas.calculateXPRequired(0.3, 20); // 44
+        agent.addTrainingXP('charisma', required + 5);
+
+        assertEqual(agent.applyTrainingLevels('charisma', 20, 1), 1);
+        assertInRange(agent.getTrainedLevel('charisma'), 0.309, 0.311);
+        assertEqual(agent.charisma, 0.3, 'Base stat untouched');
+        assertEqual(agent.trainingXP.charisma, 5);
+    });
+
+    await test('Training respects the max skill level and fires level-up events', () => {
+        const state = new GameState();
+        const agent = state.addAgent({ skillTalktrack: 0.5 }, 0, () => 0.5);
+        const engine = new SimulationEngine(state, {
+            defaults: { training: { baseXPPerSession: 10, baseXPPerLevel: 20, maxSkillLevel: 0.52, diminishingFactor: 0.85 } }
+        }, 1);
+
+        const levelUps = [];
+        engine.on('onLevelUp', e => levelUps.push(e));
+        agent.addTrainingXP('skillTalktrack', 1000);
+        agent.startTraining('skillTalktrack', 0);
+        engine.completeTraining(agent);
+
+        assertEqual(levelUps.length, 1);
+        assertEqual(levelUps[0].steps, 2);
+        assertEqual(agent.getTrainedLevel('skillTalktrack'), 0.52);
+        assertEqual(agent.trainingXP.skillTalktrack, 0);
+    });
+
+    await test('A few sessions at the shipped training rates visibly raise a mid-level skill', async () => {
+        const { readFileSync } = await import('node:fs');
+        const defaults = JSON.parse(readFileSync(new URL('../data/defaults.json', import.meta.url), 'utf8'));
+        const state = new GameState();
+        const agent = state.addAgent({ skillTalktrack: 0.5 }, 0, () => 0.5);
+        const engine = new SimulationEngine(state, { defaults }, 1);
+
+        for (let i = 0; i < 3; i++) {
+            agent.startTraining('skillTalktrack', 0);
+            engine.completeTraining(agent);
+        }
+        assertInRange(agent.getTrainedLevel('skillTalktrack'), 0.54, 0.56, 'Three sessions');
+    });
+
+    console.log('\n📦 Testing Effective Stats...\n');
+
+    await test('Effective stats layer training, upgrades and modifiers over base', () => {
+        const state = new GameState();
+        const agent = state.addAgent({ complianceDiscipline: 0.5 }, 0, () => 0.5);
+        agent.trainingBonus.complianceDiscipline = 0.05;
+        state.upgradeEffects = { globalCompliance: 0.1 };
+        agent.addModifier('evt_1', 'complianceDiscipline', 0.2);
+
+        assertInRange(state.getEffectiveStats(agent).complianceDiscipline, 0.849, 0.851);
+        assertEqual(agent.removeModifiers('evt_1'), 1);
+        state.upgradeEffects = {};
+        assertInRange(state.getEffectiveStats(agent).complianceDiscipline, 0.549, 0.551);
+        assertEqual(agent.complianceDiscipline, 0.5);
+    });
+
+    await test('Upgrade refunds revert agent stat bonuses', async () => {
+        const { UpgradeManager } = await import('../src/economy/UpgradeManager.js');
+        const state = new GameState();
+        state.cash = 10000;
+        const agent = state.addAgent({ skillTalktrack: 0.4 }, 0, () => 0.5);
+        const manager = new UpgradeManager(state, [{
+            id: 'script_training', name: 'Scripts', baseCost: 100, costGrowthRate: 1.5, maxLevel: 5,
+            effects: [{ type: 'global_skill_talktrack', value: 0.05 }]
+        }]);
+
+        manager.purchase('script_training');
+        manager.purchase('script_training');
+        assertInRange(state.getEffectiveStats(agent).skillTalktrack, 0.499, 0.501);
+
+        state.setUpgradeLevel('script_training', 0);
+        manager.recalculateEffects();
+        assertInRange(state.getEffectiveStats(agent).skillTalktrack, 0.399, 0.401);
+
+        agent.addModifier('evt_1', 'charisma', 0.1);
+        const restored = Agent.fromJSON(JSON.parse(JSON.stringify(agent.toJSON())));
+        assertEqual(restored.modifiers.length, 1);
+    });
+
+    console.log('\n📦 Testing UpgradeEffects...\n');
+
+    const UpgradeEffects = await import('../src/economy/UpgradeEffects.js');
+
+    await test('Effect registry aggregates additive and multiplicative types', () => {
+        const configs = new Map([
+            ['coaching', { id: 'coaching', effects: [{ type: 'aht_reduction', value: 0.1 }, { type: 'reputation_recovery', value: 0.25 }] }],
+            ['suite', { id: 'suite', effects: [{ type: 'aht_reduction', value: 0.5 }] }]
+        ]);
+        const effects = UpgradeEffects.aggregateEffects(new Map([['coaching', 2], ['suite', 1]]), configs);
+
+        assertInRange(effects.ahtReduction, 0.594, 0.596, '1 - 0.9^2 * 0.5');
+        assertEqual(effects.reputationRecovery, 0.5);
+        assertEqual(effects.complianceRiskReduction, 0);
+        assertEqual(UpgradeEffects.getEffectType('add_agent').aggregation, 'one_shot');
+    });
+
+    await test('Unknown effect types are reported', () => {
+        const unknown = UpgradeEffects.findUnknownEffectTypes([
+            { id: 'a', effects: [{ type: 'spam_reduction', value: 0.1 }, { type: 'teleport', value: 1 }] }
+        ]);
+        assertEqual(unknown.length, 1);
+        assertEqual(unknown[0].upgradeId, 'a');
+        assertEqual(unknown[0].type, 'teleport');
+    });
+
+    await test('Onboarding upgrades shorten new hire ramp-up', async () => {
+        const { UpgradeManager } = await import('../src/economy/UpgradeManager.js');
+        const state = new GameState();
+        state.cash = 10000;
+        const manager = new UpgradeManager(state, [
+            { id: 'hire', baseCost: 100, costGrowthRate: 1, maxLevel: 10, effects: [{ type: 'add_agent', value: 1 }] },
+            { id: 'onboarding', baseCost: 100, costGrowthRate: 1, maxLevel: 3, effects: [{ type: 'onboarding_speed', value: 0.25 }] }
+        ], { rampUpMinutes: 240, rampSkillPenalty: 0.1 });
+
+        manager.purchase('onboarding', () => 0.5);
+        manager.purchase('hire', () => 0.5);
+        const hire = state.agents[0];
+        assertEqual(hire.rampMinutesRemaining, 180);
+
+        const rampingSkill = state.getEffectiveStats(hire).skillTalktrack;
+        assertTrue(hire.advanceOnboarding(180));
+        assertInRange(state.getEffectiveStats(hire).skillTalktrack - rampingSkill, 0.099, 0.101);
+    });
+
+    console.log('\n📦 Testing Lead Aging...\n');
+
+    await test('Leads age on game time across day rollovers', () => {
+        const state = new GameState();
+        state.leadPool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard', freshnessDecayPerDay: 0.1 }));
+        state.advanceTime(120);
+        const [lead] = state.leadPool.generateLeads('standard_leads', 1, () => 0.5);
+        assertEqual(lead.createdAt, 120);
+
+        state.endDay();
+        assertEqual(state.gameTime.totalMinutes, 1440, 'Day 2 opens 1440 minutes after day 1');
+        assertInRange(lead.getFreshness(state.gameTime.totalMinutes + 120), 0.899, 0.901);
+    });
+
+    await test('Version 1 saves move onto the day grid and rebase real-clock lead times', async () => {
+        const { migrateSave, SAVE_VERSION } = await import('../src/persistence/SaveManager.js');
+        const savedAt = 1700000000000;
+        const data = migrateSave({
+            version: 1,
+            savedAt,
+            gameTime: { day: 3, hour: 11, minute: 30, totalMinutes: 2 * 900 + 150 },
+            leadPool: { leads: [{ id: 'lead_1', createdAt: savedAt - 2 * 86400000, lastDialedAt: savedAt - 3600000, convertedAt: null }] }
+        });
+
+        const lead = data.leadPool.leads[0];
+        assertEqual(data.version, SAVE_VERSION);
+        assertEqual(data.gameTime.totalMinutes, 2 * 1440 + 150, 'Moved onto the 1440-minute day grid');
+        assertEqual(lead.createdAt, 150);
+        assertEqual(lead.lastDialedAt, 2 * 1440 + 150 - 60);
+        assertEqual(lead.convertedAt, null);
+
+        const state = new GameState();
+        state.loadFromJSON(data, {});
+        assertEqual(state.toWorkHours(state.gameTime.totalMinutes), state.gameTime.totalMinutes, 'Still within day 3 work hours');
+        assertEqual(state.toJSON().version, SAVE_VERSION);
+    });
+
+    console.log('\n📦 Testing Callbacks...\n');
+
+    const setupCallbackEngine = () => {
+        const state = new GameState();
+        const power = new Dialer({ id: 'power', name: 'Power', dialsPerMinutePerAgent: 1 });
+        power.unlocked = true;
+        state.dialerManager.addDialer(power);
+        state.dialerManager.setActiveDialer('power');
+        state.leadPool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard' }));
+        const [lead] = state.leadPool.generateLeads('standard_leads', 1, () => 0.5);
+        state.addAgent({}, 0, () => 0.5);
+        state.addAgent({}, 0, () => 0.5);
+        const engine = new SimulationEngine(state, {
+            defaults: {
+                agent: { baseAHTSeconds: 180, baseWrapUpSeconds: 45 },
+                call: { dialDurationSeconds: 8, baseRevenuePerConversion: 100 },
+                callbacks: { graceMinutes: 15, missedConversionDecay: 0.5 }
+            }
+        }, 1);
+        return { state, engine, lead, dialer: power };
+    };
+
+    await test('Due callbacks are routed to the original agent first', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        lead.recordContact();
+        engine.scheduleCallback(state.agents[1], lead);
+        const callback = state.callbacks.pending[0];
+        assertEqual(lead.status, 'callback');
+        assertTrue(!lead.isRedialable(), 'Held out of normal dialing');
+
+        state.gameTime.totalMinutes = callback.dueAt;
+        engine.processCallbacks(dialer);
+        assertEqual(state.callbacks.size, 0);
+        assertEqual(state.agents[1].dailyStats.dials, 1);
+        assertEqual(state.agents[0].dailyStats.dials, 0);
+        assertEqual(state.getCallbackAdherence(), 1);
+    });
+
+    await test('Callbacks go to any free agent when the original agent is busy', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        lead.recordContact();
+        engine.scheduleCallback(state.agents[1], lead);
+        state.agents[1].startBreak(3600);
+
+        state.gameTime.totalMinutes = state.callbacks.pending[0].dueAt;
+        engine.processCallbacks(dialer);
+        assertEqual(state.callbacks.size, 0);
+        assertEqual(state.agents[0].dailyStats.dials, 1);
+        assertEqual(state.getCallbackAdherence(), 1);
+    });
+
+    await test('Missed callbacks decay conversion odds and count against adherence', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        lead.recordContact();
+        const before = lead.getConversionProbability(0);
+        state.callbacks.schedule({ leadId: lead.id, agentId: state.agents[0].id, dueAt: 60, scheduledAt: 0 });
+        lead.scheduleCallback();
+        state.agents.forEach(agent => agent.startBreak(3600));
+
+        state.gameTime.totalMinutes = 70;
+        engine.processCallbacks(dialer);
+        assertEqual(state.callbacks.size, 1, 'Waits for a free agent within the grace window');
+
+        state.gameTime.totalMinutes = 76;
+        engine.processCallbacks(dialer);
+        assertEqual(state.callbacks.size, 0);
+        assertEqual(lead.status, 'contacted');
+        assertInRange(lead.getConversionProbability(0), before * 0.5 - 0.001, before * 0.5 + 0.001);
+        assertEqual(state.getCallbackAdherence(), 0);
+    });
+
+    await test('Callbacks queue in due order and land in work hours', () => {
+        const state = new GameState();
+        state.callbacks.schedule({ leadId: 'a', agentId: 'x', dueAt: 300, scheduledAt: 0 });
+        state.callbacks.schedule({ leadId: 'b', agentId: 'x', dueAt: 100, scheduledAt: 0 });
+        assertEqual(state.callbacks.getDue(200).map(c => c.leadId).join(), 'b');
+        assertEqual(state.toWorkHours(470), 470);
+        assertEqual(state.toWorkHours(500), 1440, 'After 17:00 rolls to next morning');
+        assertEqual(state.toWorkHours(470, 15), 1440, 'Too close to 17:00 to make within the grace window');
+    });
+
+    console.log('\n📦 Testing Dispositions...\n');
+
+    const setupDispositionEngine = (dispositions) => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        engine.configs.defaults.call.timeOfDayFactors = {};
+        engine.configs.defaults.dispositions = dispositions;
+        engine.rng.random = () => 0.99; // every chance() below 0.99 fails
+        return { state, engine, lead, dialer };
+    };
+
+    await test('Unanswered dials are split into no answer, busy and voicemail', () => {
+        const { state, engine, lead, dialer } = setupDispositionEngine({ unansweredWeights: { busy: 1 } });
+        engine.processDial(state.agents[0], lead, dialer);
+        assertEqual(state.dailyStats.dispositions.busy, 1);
+        assertEqual(lead.status, 'fresh');
+    });
+
+    await test('Wrong numbers retire the lead and DNC requests mark it DNC', () => {
+        const wrong = setupDispositionEngine({ wrongNumberRate: 1 });
+        wrong.engine.processAnswer(wrong.state.agents[0], wrong.lead, wrong.dialer);
+        assertEqual(wrong.lead.status, 'invalid');
+        assertEqual(wrong.state.dailyStats.dispositions.wrong_number, 1);
+        assertEqual(wrong.state.dailyStats.contacts, 0, 'Wrong party is not a contact');
+
+        const dnc = setupDispositionEngine({ wrongNumberRate: 0, dncRequestRate: 1 });
+        dnc.engine.processAnswer(dnc.state.agents[0], dnc.lead, dnc.dialer);
+        assertEqual(dnc.lead.status, 'dnc');
+        assertEqual(dnc.state.dailyStats.dispositions.dnc_request, 1);
+        assertEqual(dnc.state.dailyStats.dispositions.sale, 0);
+        assertTrue(dnc.state.dnc.optOuts.has(dnc.lead.phone), 'DNC request becomes an internal opt-out');
+    });
+
+    console.log('\n📦 Testing DNC Registry...\n');
+
+    await test('Dialing a DNC number is fined, costs reputation and is kept in history', () => {
+        const { state, engine, lead, dialer } = setupDispositionEngine({});
+        engine.configs.defaults.economy = { compliancePenaltyBase: 500 };
+        engine.configs.defaults.compliance = { dncViolationReputationPenalty: 5 };
+        state.cash = 1000;
+        lead.onNationalDnc = true;
+
+        engine.processDial(state.agents[0], lead, dialer);
+        assertEqual(state.cash, 500);
+        assertEqual(state.reputation, 70);
+        assertEqual(lead.status, 'dnc');
+        assertEqual(state.dailyStats.dncViolations, 1);
+        assertEqual(state.violations[0].type, 'dnc');
+        assertEqual(state.violations[0].list, 'national');
+
+        const restored = new GameState();
+        restored.loadFromJSON(JSON.parse(JSON.stringify(state.toJSON())), {});
+        assertEqual(restored.violations[0].leadId, lead.id);
+        assertTrue(restored.dnc.optOuts.has(lead.phone));
+    });
+
+    await test('Scrubbing drops known DNC numbers from purchases', () => {
+        const { state, market } = setupMarket();
+        const listed = () => 0.01; // every generated lead lands on the national list
+        assertEqual(market.buy('standard_leads', 10, listed).scrubbed.length, 0, 'No scrubbing without the upgrade');
+
+        state.upgradeEffects.dncScrubbing = 1;
+        assertEqual(market.buy('standard_leads', 10, listed).scrubbed.length, 0, 'National numbers unknown without the list');
+
+        state.dnc.hasNationalList = true;
+        const result = market.buy('standard_leads', 10, listed);
+        assertEqual(result.scrubbed.length, 10);
+        assertEqual(result.leads.length, 0);
+        assertEqual(state.leadPool.getStats().total, 20);
+    });
+
+    await test('Scrubbing pulls known DNC numbers before dialing and event leads arrive scrubbed', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        state.gameTime.hour = 12;
+        state.dnc.addOptOut(lead.phone);
+        assertTrue(!engine.pullKnownDnc(lead), 'Dialed anyway without the upgrade');
+
+        state.upgradeEffects.dncScrubbing = 1;
+        engine.processDialing(dialer);
+        assertEqual(state.dailyStats.dials, 0);
+        assertEqual(state.violations.length, 0);
+        assertEqual(lead.status, 'dnc');
+
+        const events = new EventManager(state, [], {}, () => 0.01);
+        events.applyChoiceEffect({ type: 'add_leads', value: 3 }, {}, []);
+        assertEqual(state.leadPool.getDialableLeads().filter(l => l.onNationalDnc).length, 0);
+    });
+
+    console.log('\n📦 Testing Time Zones...\n');
+
+    await test('Leads get a time zone with a matching area code', () => {
+        const source = new LeadSource({ id: 'west', name: 'West', timeZoneWeights: { pacific: 1 } });
+        const lead = source.generateLead('lead_1', () => 0.5);
+        assertEqual(lead.timeZone, 'pacific');
+        assertTrue(TIME_ZONES.pacific.areaCodes.includes(lead.phone.slice(0, 3)), 'Pacific area code');
+        assertEqual(lead.getLocalHour(9), 6);
+        assertTrue(!lead.isWithinCallingHours(9), '6am local is too early');
+        assertTrue(lead.isWithinCallingHours(11));
+        assertEqual(Lead.fromJSON(lead.toJSON()).timeZone, 'pacific');
+    });
+
+    await test('Lead selection skips leads outside their calling hours', () => {
+        const pool = new LeadPool();
+        pool.addSource(new LeadSource({ id: 'west', name: 'West', timeZoneWeights: { pacific: 1 } }));
+        pool.generateLeads('west', 5, () => 0.5);
+        assertEqual(pool.getNextLead(9), null, 'Nobody on the West coast is up at 9 Eastern');
+        assertTrue(pool.getNextLead(11) !== null);
+        assertTrue(pool.getNextLead(20) !== null, 'A late shift still reaches them at 5pm local');
+    });
+
+    await test('Dialing outside local calling hours is a fined violation', () => {
+        const { state, engine, lead, dialer } = setupDispositionEngine({});
+        engine.configs.defaults.economy = { compliancePenaltyBase: 500 };
+        engine.configs.defaults.compliance = { callingHoursReputationPenalty: 3 };
+        state.cash = 1000;
+        lead.timeZone = 'pacific';
+
+        engine.processDial(state.agents[0], lead, dialer);
+        assertEqual(state.cash, 500);
+        assertEqual(state.reputation, 72);
+        assertEqual(state.dailyStats.callingHoursViolations, 1);
+        assertEqual(state.violations[0].type, 'calling_hours');
+        assertEqual(state.violations[0].localHour, 6);
+    });
+
+    await test('A late shift moves work hours and callback times', () => {
+        const state = new GameState();
+        assertTrue(!state.setShift(8, 16), 'Shift cannot start before the day does');
+        assertTrue(state.setShift(13, 21));
+        assertTrue(!state.isWorkHours(), '9:00 is before a late shift');
+        assertEqual(state.toWorkHours(60), 240, 'Moved to 13:00');
+        assertEqual(state.toWorkHours(780), 1440 + 240, 'After 21:00 rolls to next 13:00');
+        assertEqual(state.getShiftHours(), 8);
+    });
+
+    console.log('\n📦 Testing Redial Cadence...\n');
+
+    await test('Lead selection enforces source cadence gap, daily cap and retry hours', () => {
+        let now = 0;
+        const pool = new LeadPool(() => now);
+        pool.addSource(new LeadSource({
+            id: 'standard_leads',
+            name: 'Standard',
+            timeZoneWeights: { eastern: 1 },
+            cadence: { maxAttempts: 5, minGapMinutes: 60, retryHours: [10, 11, 12, 13, 14], dailyAttemptCap: 2 }
+        }));
+        const [lead] = pool.generateLeads('standard_leads', 1, () => 0.5);
+        assertEqual(lead.maxDialAttempts, 5, 'Max attempts come from the source');
+
+        assertEqual(pool.getNextLead(9), lead, 'First dial ignores retry hours');
+        lead.recordDial(now);
+        now = 30;
+        assertEqual(pool.getNextLead(10), null, 'Too soon after the last dial');
+        now = 90;
+        assertEqual(pool.getNextLead(15), null, 'Outside retry hours');
+        assertEqual(pool.getNextLead(10), lead);
+        lead.recordDial(now);
+        now = 200;
+        assertEqual(pool.getNextLead(12), null, 'Same-day cap reached');
+        now = MINUTES_PER_DAY + 60;
+        assertEqual(pool.getNextLead(10), lead, 'Cap resets the next day');
+    });
+
+    await test('Reached leads get the source redials before exhausting', () => {
+        const lead = new Lead({ id: 'lead_1', sourceId: 'x', maxDialAttempts: 2, maxRedials: 1, randomFn: () => 0.5 });
+        lead.recordDial(0);
+        lead.recordContact();
+        lead.recordDial(100);
+        assertEqual(lead.status, 'contacted', 'Still has a redial left');
+        assertTrue(lead.isRedialable());
+        lead.recordDial(200);
+        assertEqual(lead.status, 'exhausted');
+    });
+
+    await test('Same-day redials raise spam risk, callbacks do not', () => {
+        const base = Formulas.calculateSpamTagProbability({ reputation: 60 });
+        const overDialed = Formulas.calculateSpamTagProbability({ reputation: 60, repeatDialShare: 0.5, overDialWeight: 2 });
+        assertInRange(overDialed, base * 2 - 0.001, base * 2 + 0.001);
+
+        const { state, engine, lead, dialer } = setupDispositionEngine({});
+        engine.processDial(state.agents[0], lead, dialer);
+        engine.processDial(state.agents[1], lead, dialer, { isCallback: true });
+        assertEqual(state.dailyStats.repeatDials, 0);
+        engine.processDial(state.agents[0], lead, dialer);
+        assertEqual(state.dailyStats.repeatDials, 1);
+    });
+
+    console.log('\n📦 Testing Lead Index...\n');
+
+    await test('Indexed stats match a full scan as leads change', () => {
+        const rng = new SeededRNG(7);
+        let now = 0;
+        const pool = new LeadPool(() => now);
+        pool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard', cadence: { minGapMinutes: 30 } }));
+        const leads = pool.generateLeads('standard_leads', 300, () => rng.random());
+
+        for (let step = 0; step < 2000; step++) {
+            now += 1;
+            const lead = rng.pick(leads);
+            const action = rng.randomInt(0, 5);
+            if (action === 0) lead.recordDial(now);
+            else if (action === 1) lead.recordContact();
+            else if (action === 2 && lead.status === 'contacted') lead.scheduleCallback();
+            else if (action === 3) lead.missCallback(0.9);
+            else if (action === 4 && rng.chance(0.05)) lead.markDNC();
+            else if (action === 5 && rng.chance(0.02)) pool.removeLead(lead.id);
+        }
+
+        const all = Array.from(pool.leads.values());
+        const stats = pool.getStats();
+        for (const status of ['fresh', 'contacted', 'callback', 'exhausted', 'dnc']) {
+            assertEqual(stats[status], all.filter(l => l.status === status).length, status);
+        }
+        assertEqual(stats.redialable, all.filter(l => l.isRedialable()).length, 'redialable');
+        assertEqual(stats.total, all.length);
+    });
+
+    await test('Indexed selection prefers fresh leads and releases cooled-down retries', () => {
+        let now = 60;
+        const pool = new LeadPool(() => now);
+        pool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard', timeZoneWeights: { eastern: 1 },
+            cadence: { minGapMinutes: 60 } }));
+        const [first, second] = pool.generateLeads('standard_leads', 2, () => 0.5);
+
+        second.recordDial(now);
+        second.recordContact();
+        assertEqual(pool.getNextLead(10), first, 'Fresh before redial');
+
+        first.recordDial(now);
+        assertEqual(pool.getNextLead(10), null, 'Both leads cooling down');
+        now = 120;
+        assertEqual(pool.getNextLead(10), first, 'Unreached retry comes back before the redial');
+        first.markInvalid();
+        assertEqual(pool.getNextLead(10), second, 'Falls back to the redial');
+        pool.removeLead(second.id);
+        assertEqual(pool.getNextLead(10), null);
+        assertEqual(pool.getStats().invalid, 1);
+    });
+
+    await test('Daily reprioritizing keeps the freshest lead on top', () => {
+        let now = 0;
+        const pool = new LeadPool(() => now);
+        pool.addSource(new LeadSource({ id: 'aged', name: 'Aged', freshnessDecayPerDay: 0.1, timeZoneWeights: { eastern: 1 } }));
+        const [old] = pool.generateLeads('aged', 1, () => 0.5);
+        old.baseAnswerProbability *= 1.2; // slightly better lead, but aging
+        pool.refreshLead(old);
+        now = 5 * MINUTES_PER_DAY;
+        const [fresh] = pool.generateLeads('aged', 1, () => 0.5);
+
+        pool.reprioritize();
+        assertEqual(pool.getNextLead(10), fresh);
+    });
+
+    console.log('\n📦 Testing Lead Scoring...\n');
+
+    const { LeadScoringModel } = await import('../src/models/LeadScoring.js');
+
+    await test('Lead scoring learns rates per source, hour and attempt', () => {
+        const model = new LeadScoringModel();
+        const lead = new Lead({ id: 'l1', sourceId: 'aged', baseAnswerProbability: 0.2, baseConversionProbability: 0.1 });
+
+        const ownEstimate = lead.getAnswerProbability(12, 0);
+        assertInRange(model.getRates(lead, 12, 0).answerRate, ownEstimate - 1e-9, ownEstimate + 1e-9, 'No data falls back to the lead');
+
+        lead.dialAttempts = 1; // first attempt has been dialed
+        for (let i = 0; i < 80; i++) {
+            model.record(lead, 12, i < 40 ? (i < 20 ? Disposition.SALE : Disposition.NOT_INTERESTED) : Disposition.NO_ANSWER);
+        }
+        lead.dialAttempts = 0;
+
+        const learned = model.getRates(lead, 12, 0);
+        assertEqual(learned.dials, 80);
+        assertInRange(learned.answerRate, (40 + 20 * ownEstimate) / 100 - 0.001, (40 + 20 * ownEstimate) / 100 + 0.001);
+        const ownConversion = lead.getConversionProbability(0);
+        assertInRange(learned.conversionRate, (20 + 20 * ownConversion) / 60 - 0.001, (20 + 20 * ownConversion) / 60 + 0.001);
+        assertEqual(model.getRates(lead, 15, 0).dials, 0, 'Other hours unaffected');
+        assertEqual(model.getSourceSummary().aged.sales, 20);
+
+        const restored = new LeadScoringModel();
+        restored.loadFromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+        assertEqual(restored.getRates(lead, 12, 0).dials, 80);
+    });
+
+    await test('CRM integration unlocks learning and learned-EV routing', () => {
+        const state = new GameState();
+        state.leadPool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard' }));
+        const [lead] = state.leadPool.generateLeads('standard_leads', 1, () => 0.5);
+
+        lead.recordDial(0);
+        state.recordDisposition(Disposition.NO_ANSWER, lead);
+        assertEqual(state.leadScoring.buckets.size, 0, 'Nothing learned without CRM');
+        assertEqual(state.setRoutingStrategy(RoutingStrategy.LEARNED_EV), false);
+        assertEqual(state.setRoutingStrategy('nearest'), false);
+
+        state.upgradeEffects = { leadScoring: 1 };
+        state.recordDisposition(Disposition.NO_ANSWER, lead);
+        assertEqual(state.leadScoring.getSourceSummary().standard_leads.dials, 1);
+        assertTrue(state.setRoutingStrategy(RoutingStrategy.LEARNED_EV));
+
+        const restored = new GameState();
+        restored.loadFromJSON(JSON.parse(JSON.stringify(state.toJSON())), { leadSources: [{ id: 'standard_leads', name: 'Standard' }] });
+        assertEqual(restored.leadPool.routingStrategy, RoutingStrategy.LEARNED_EV);
+        assertEqual(restored.leadScoring.getSourceSummary().standard_leads.dials, 1);
+    });
+
+    await test('Routing strategies pick by arrival, source turns or learned EV', () => {
+        let now = 0;
+        const scoring = new LeadScoringModel();
+        const pool = new LeadPool(() => now, scoring);
+        pool.addSource(new LeadSource({ id: 'aged', name: 'Aged', timeZoneWeights: { eastern: 1 } }));
+        pool.addSource(new LeadSource({ id: 'premium', name: 'Premium', timeZoneWeights: { central: 1 } }));
+        const [agedOld] = pool.generateLeads('aged', 1, () => 0.5);
+        now = 10;
+        const [premium] = pool.generateLeads('premium', 1, () => 0.5);
+        now = 20;
+        const [agedNew] = pool.generateLeads('aged', 1, () => 0.5);
+        premium.baseAnswerProbability = 0.01; // looks worst on its own numbers
+        pool.refreshLead(premium);
+
+        assertTrue(pool.setRoutingStrategy(RoutingStrategy.FIFO));
+        assertEqual(pool.getNextLead(12), agedOld);
+        pool.setRoutingStrategy(RoutingStrategy.NEWEST);
+        assertEqual(pool.getNextLead(12), agedNew);
+
+        pool.setRoutingStrategy(RoutingStrategy.ROUND_ROBIN);
+        const turns = [pool.getNextLead(12), pool.getNextLead(12), pool.getNextLead(12)].map(l => l.sourceId);
+        assertEqual(turns.join(','), 'aged,premium,aged');
+
+        // Premium leads have been selling at 11:00 local time, first attempt
+        const probe = new Lead({ id: 'probe', sourceId: 'premium' });
+        probe.dialAttempts = 1;
+        for (let i = 0; i < 200; i++) scoring.record(probe, 11, Disposition.SALE);
+        pool.setRoutingStrategy(RoutingStrategy.LEARNED_EV);
+        assertEqual(pool.getNextLead(12), premium);
+    });
+
+    console.log('\n📦 Testing Dialer Pacing...\n');
+
+    const { PacingEngine } = await import('../src/simulation/PacingEngine.js');
+
+    await test('Paced lines aim for the occupancy target at the observed answer rate', () => {
+        const lines = params => Formulas.calculatePacedLines({ occupancyTarget: 0.8, maxLinesPerAgent: 5, ...params });
+        assertEqual(lines({ predictedFreeAgents: 4, answerRate: 0.2 }), 16);
+        assertEqual(lines({ predictedFreeAgents: 4, answerRate: 0.2, linesInFlight: 10 }), 6);
+        assertEqual(lines({ predictedFreeAgents: 4, answerRate: 0.01 }), 20, 'Capped per agent');
+        assertEqual(lines({ predictedFreeAgents: 0, answerRate: 0.2 }), 0);
+        assertEqual(lines({ predictedFreeAgents: 2, answerRate: 0.2, linesInFlight: 50 }), 0);
+    });
+
+    await test('Predictive dialers count agents about to finish wrap-up as free', () => {
+        const state = new GameState();
+        const [idle, wrapping, talking] = [0, 1, 2].map(() => state.addAgent({}, 0, () => 0.5));
+        wrapping.startWrapUp(5);
+        talking.startCall(5);
+        const pacing = new PacingEngine(state, { call: { dialDurationSeconds: 8 } }, 10);
+
+        assertEqual(pacing.getPredictedFreeAgents(new Dialer({ id: 'progressive', pacing: { predictAgents: false } })), 1);
+        assertEqual(pacing.getPredictedFreeAgents(new Dialer({ id: 'predictive', pacing: { predictAgents: true } })), 2);
+        assertTrue(idle.isAvailable());
+
+        pacing.launch({ id: 'l1' }, { connects: true });
+        assertInRange(pacing.answerRate, 0.2, 1, 'Learns from answered lines');
+        assertEqual(pacing.takeConnected().length, 1, 'Rings for one tick');
+        assertEqual(pacing.lines.length, 0);
+    });
+
+    await test('Answered lines with no free agent are abandoned', () => {
+        const state = new GameState();
+        const predictive = new Dialer({
+            id: 'predictive', name: 'Predictive', dialsPerMinutePerAgent: 60, agentOccupancyTarget: 0.8,
+            pacing: { maxLinesPerAgent: 3, predictAgents: true }
+        });
+        predictive.unlocked = true;
+        state.dialerManager.addDialer(predictive);
+        state.dialerManager.setActiveDialer('predictive');
+        state.leadPool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard', timeZoneWeights: { eastern: 1 } }));
+        state.leadPool.generateLeads('standard_leads', 10, () => 0.5);
+        const agent = state.addAgent({}, 0, () => 0.5);
+        state.gameTime.hour = 12;
+
+        const engine = new SimulationEngine(state, {
+            defaults: {
+                agent: { baseAHTSeconds: 180, baseWrapUpSeconds: 45 },
+                call: { dialDurationSeconds: 8, baseRevenuePerConversion: 100, timeOfDayFactors: {} },
+                pacing: { initialAnswerRate: 0.4 }
+            }
+        }, 1);
+        engine.rng.random = () => 0; // every line is answered
+        const reputation = state.reputation;
+
+        engine.processPacedDialing(predictive);
+        assertEqual(state.dailyStats.dials, 2, '1 free agent * 0.8 / 0.4');
+        assertEqual(agent.dailyStats.dials, 0, 'Agents wait for connects');
+
+        engine.processPacedDialing(predictive);
+        assertEqual(agent.state, 'on_call');
+        assertEqual(state.dailyStats.abandonments, 1);
+        assertEqual(state.dailyStats.dispositions.abandoned, 1);
+        assertTrue(state.reputation <= reputation - 0.5, 'Abandonment costs reputation');
+        assertEqual(state.dailyStats.dials, 2, 'No free agent predicted, no new lines');
+    });
+
+    console.log('\n📦 Testing Caller ID...\n');
+
+    const { CallerIdPool } = await import('../src/models/CallerId.js');
+    const callerIdSettings = { dailyDialLimit: 2, wearPerDial: 10, dailyRecovery: 5, tagThreshold: 40 };
+
+    await test('Caller IDs wear past their daily limit, get tagged and recover overnight', () => {
+        const pool = new CallerIdPool();
+        const number = pool.addNumber('central', () => 0.5, { reputation: 60 });
+        assertTrue(TIME_ZONES.central.areaCodes.includes(number.areaCode));
+
+        for (let i = 0; i < 4; i++) number.recordDial(callerIdSettings);
+        assertEqual(number.reputation, 40, 'Two dials past the limit');
+        assertTrue(!number.spamTagged);
+        number.recordDial(callerIdSettings);
+        assertTrue(number.spamTagged, 'Tagged below the threshold');
+
+        pool.closeDay(callerIdSettings);
+        assertEqual(number.dialsToday, 0);
+        assertEqual(number.totalDials, 5);
+        assertEqual(number.reputation, 35);
+        assertTrue(number.spamTagged);
+        pool.closeDay(callerIdSettings);
+        assertTrue(!number.spamTagged, 'Clears once recovered');
+
+        const restored = new CallerIdPool();
+        restored.loadFromJSON(JSON.parse(JSON.stringify(pool.toJSON())));
+        assertEqual(restored.getAll()[0].phone, number.phone);
+        assertEqual(restored.getAll()[0].reputation, 40);
+    });
+
+    await test('Caller IDs rotate, skip tagged numbers and prefer local ones', () => {
+        const pool = new CallerIdPool();
+        const [a, b, pacific] = ['eastern', 'eastern', 'pacific'].map(zone => pool.addNumber(zone, () => 0.5));
+        const lead = { timeZone: 'pacific' };
+
+        const picks = [];
+        for (let i = 0; i < 3; i++) {
+            const number = pool.pick(lead);
+            number.recordDial(callerIdSettings);
+            picks.push(number.id);
+        }
+        assertEqual(new Set(picks).size, 3, 'Each number used once');
+
+        assertEqual(pool.pick(lead, true), pacific);
+        pacific.adjustReputation(-50, 40);
+        assertTrue([a, b].includes(pool.pick(lead, true)), 'Tagged local number skipped');
+
+        assertEqual(pool.getLeastCoveredTimeZone(), 'central');
+        assertTrue(pool.retire(a.id) && pool.retire(b.id));
+        assertEqual(pool.retire(pacific.id), false, 'Keeps its last number');
+    });
+
+    await test('Spam tagging and local presence are evaluated per caller ID', () => {
+        assertEqual(Formulas.calculateSpamTagProbability({ reputation: 100, spamTagged: true }), 0.8);
+
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        engine.configs.defaults.reputation = { spamTagThreshold: 40, overDialSpamWeight: 0 };
+        engine.configs.defaults.callerId = { dailyDialLimit: 100 };
+        state.upgradeEffects = { answerRateBonus: 0.5 };
+        const [twin] = state.leadPool.generateLeads('standard_leads', 1, () => 0.5);
+        lead.timeZone = twin.timeZone = 'mountain';
+        const local = state.callerIds.addNumber('mountain', () => 0.5);
+        const distant = state.callerIds.addNumber('eastern', () => 0.5);
+
+        const chances = [];
+        engine.rng.chance = p => { chances.push(p); return false; };
+        engine.placeDial(null, lead, dialer);
+        assertEqual(local.dialsToday, 1, 'Local number preferred with local presence');
+
+        state.upgradeEffects = {};
+        engine.placeDial(null, twin, dialer);
+        assertEqual(distant.dialsToday, 1, 'Rotates without local presence');
+        assertInRange(chances[0] / chances[1], 1.49, 1.51, 'Bonus only from the local number');
+
+        distant.adjustReputation(-60, 40);
+        local.adjustReputation(-60, 40);
+        engine.placeDial(null, lead, dialer);
+        assertTrue(chances[2] < chances[1] * 0.6, 'Tagged numbers are rarely answered');
+    });
+
+    await test('Caller ID numbers are rented daily and added by the number pool upgrade', async () => {
+        const { UpgradeManager } = await import('../src/economy/UpgradeManager.js');
+        const state = new GameState();
+        state.cash = 10000;
+        const manager = new UpgradeManager(state, [
+            { id: 'number_pool', baseCost: 100, costGrowthRate: 1, maxLevel: 10, effects: [{ type: 'add_caller_ids', value: 2 }] }
+        ]);
+        manager.purchase('number_pool', () => 0.5);
+        assertEqual(state.callerIds.getAll().map(n => n.timeZone).join(), 'eastern,central');
+
+        const costs = new OperatingCosts(state, { economy: { numberPoolCostPerNumber: 1.5 } });
+        assertEqual(costs.getDailyCostItems().find(i => i.category === 'caller_id_rent').amount, 3);
+    });
+
+    console.log('\n📦 Testing Abandonment Cap...\n');
+
+    const { AbandonmentMonitor } = await import('../src/models/AbandonmentMonitor.js');
+
+    await test('Abandonment rate is measured against answered calls over a rolling window', () => {
+        const monitor = new AbandonmentMonitor();
+        for (let i = 0; i < 100; i++) monitor.recordAnswered();
+        for (let i = 0; i < 6; i++) monitor.recordAbandoned();
+        assertEqual(monitor.closeDay(1, 3).rate, 0.06);
+
+        for (let i = 0; i < 100; i++) monitor.recordAnswered();
+        monitor.closeDay(2, 3);
+        assertEqual(monitor.getWindow(3).rate, 0.03, 'Today and the two days before');
+        for (let i = 0; i < 100; i++) monitor.recordAnswered();
+        assertEqual(monitor.closeDay(3, 3).rate, 0.02);
+        monitor.recordAnswered();
+        assertEqual(monitor.closeDay(4, 3).abandoned, 0, 'Day 1 rolled out');
+        assertEqual(monitor.history.length, 3);
+        assertEqual(monitor.getWindow(1).answered, 0, 'A one-day window is today only');
+
+        const restored = new AbandonmentMonitor();
+        restored.loadFromJSON(JSON.parse(JSON.stringify(monitor.toJSON())));
+        assertEqual(restored.getWindow(3).answered, monitor.getWindow(3).answered);
+    });
+
+    await test('Staying over the cap escalates from warnings to fines to a forced downgrade', () => {
+        const state = new GameState();
+        for (const config of [
+            { id: 'power', tier: 2 },
+            { id: 'predictive', tier: 4, pacing: { maxLinesPerAgent: 4, predictAgents: true } }
+        ]) {
+            const dialer = new Dialer(config);
+            dialer.unlocked = true;
+            state.dialerManager.addDialer(dialer);
+        }
+        state.dialerManager.setActiveDialer('predictive');
+        const engine = new SimulationEngine(state, {
+            defaults: {
+                compliance: {
+                    abandonmentCap: 0.03, abandonmentWindowDays: 3, abandonmentMinAnswered: 50,
+                    abandonmentWarningDays: 1, abandonmentFineDays: 1, abandonmentFine: 500,
+                    abandonmentReputationPenalty: 2
+                }
+            }
+        }, 1);
+        const playDay = abandoned => {
+            state.abandonment.today = { answered: 100, abandoned };
+            const violation = engine.reviewAbandonment();
+            state.gameTime.day++;
+            return violation;
+        };
+        const cash = state.cash;
+
+        assertEqual(playDay(5).action, 'warning');
+        assertEqual(state.cash, cash, 'Warnings are free');
+        assertEqual(playDay(5).action, 'fine');
+        assertEqual(state.cash, cash - 500);
+        const downgrade = playDay(5);
+        assertEqual(downgrade.action, 'downgrade');
+        assertEqual(downgrade.downgradedTo, 'power');
+        assertEqual(state.dialerManager.activeDialerId, 'power');
+        assertEqual(state.lifetimeStats.totalAbandonmentViolations, 3);
+
+        assertEqual(playDay(0), null, 'No strikes on an unpaced dialer');
+        assertTrue(state.abandonment.pacedDialersSuspended, '10/300 is still over the cap');
+        playDay(0);
+        assertTrue(!state.abandonment.pacedDialersSuspended, 'Lifted once back under the cap');
+    });
+
+    await test('Safe-harbor messages soften abandonments', () => {
+        const { state, engine, lead } = setupCallbackEngine();
+        const reputation = state.reputation;
+        state.upgradeEffects.safeHarbor = 0.5;
+
+        engine.abandonCall(lead);
+        assertEqual(state.dailyStats.abandonments, 1);
+        assertEqual(state.abandonment.today.answered, 1);
+        assertEqual(state.abandonment.today.abandoned, 0.5);
+        assertEqual(state.reputation, reputation - 0.25);
+    });
+
+    console.log('\n📦 Testing Answering-Machine Detection...\n');
+
+    await test('AMD aggressiveness trades caught machines for hang-ups on people', () => {
+        const amd = { accuracy: 0.8, falsePositiveRate: 0.04 };
+        const rated = Formulas.calculateAmdRates({ ...amd, aggressiveness: 0.5 });
+        assertInRange(rated.detectRate, 0.8 - 1e-9, 0.8 + 1e-9);
+        assertInRange(rated.falsePositiveRate, 0.04 - 1e-9, 0.04 + 1e-9);
+        const off = Formulas.calculateAmdRates({ ...amd, aggressiveness: 0 });
+        assertEqual(off.detectRate, 0);
+        assertEqual(off.falsePositiveRate, 0);
+        const max = Formulas.calculateAmdRates({ ...amd, aggressiveness: 1 });
+        assertTrue(max.detectRate > rated.detectRate && max.falsePositiveRate > rated.falsePositiveRate);
+
+        const manager = new DialerManager();
+        manager.addDialer(new Dialer({ id: 'manual' }));
+        manager.addDialer(new Dialer({ id: 'power', amd }));
+        assertEqual(manager.dialers.get('manual').setAmdAggressiveness(0.9), false, 'No AMD to tune');
+        assertTrue(manager.dialers.get('power').setAmdAggressiveness(2));
+        assertEqual(manager.dialers.get('power').amdAggressiveness, 1);
+
+        const restored = new DialerManager();
+        restored.loadFromJSON(JSON.parse(JSON.stringify(manager.toJSON())), [{ id: 'manual' }, { id: 'power', amd }]);
+        assertEqual(restored.dialers.get('power').amdAggressiveness, 1);
+    });
+
+    await test('Missed machines waste agent time and false positives are abandonments', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        dialer.amd = { accuracy: 0.8, falsePositiveRate: 0.05 };
+        engine.configs.defaults.call.voicemailSeconds = 20;
+        const [agent] = state.agents;
+        let rolls = [];
+        engine.rng.chance = () => rolls.shift();
+        engine.rng.pickWeighted = () => 'voicemail';
+
+        rolls = [false, false]; // machine, not detected
+        engine.processDial(agent, lead, dialer);
+        assertEqual(agent.stateTimeRemaining, 28, 'Dial plus the greeting');
+        assertEqual(state.dailyStats.machinesMissed, 1);
+
+        agent.state = 'idle';
+        rolls = [false, true]; // machine, detected
+        engine.processDial(agent, lead, dialer);
+        assertEqual(agent.stateTimeRemaining, 8);
+        assertEqual(state.dailyStats.machinesDetected, 1);
+        assertEqual(state.dailyStats.dispositions.voicemail, 2);
+
+        agent.state = 'idle';
+        rolls = [true, true]; // person, taken for a machine
+        engine.processDial(agent, lead, dialer);
+        assertEqual(agent.state, 'dialing', 'Never reached the agent');
+        assertEqual(state.dailyStats.amdFalsePositives, 1);
+        assertEqual(state.dailyStats.abandonments, 1);
+        assertEqual(state.abandonment.today.answered, 1);
+
+        for (const a of state.agents) a.startCall(60);
+        engine.connectLines([{ lead, dial: { answered: false, disposition: 'voicemail', amdHangup: false, connects: true } }], dialer);
+        assertEqual(state.dailyStats.abandonments, 1, 'A machine with no agent free is just dropped');
+        assertEqual(state.dailyStats.dispositions.voicemail, 3);
+    });
+
+    await test('Without AMD screening agents hear every greeting, so AMD saves talk time', () => {
+        const machineTime = (amd, aggressiveness) => {
+            const { state, engine, lead, dialer } = setupCallbackEngine();
+            dialer.amd = amd;
+            if (amd) dialer.setAmdAggressiveness(aggressiveness);
+            engine.configs.defaults.call.voicemailSeconds = 20;
+            const rolls = [false, true]; // a machine answers; AMD, if it screens, catches it
+            engine.rng.chance = () => rolls.shift();
+            engine.rng.pickWeighted = () => 'voicemail';
+            engine.processDial(state.agents[0], lead, dialer);
+            return { seconds: state.agents[0].stateTimeRemaining, missed: state.dailyStats.machinesMissed };
+        };
+
+        const amd = { accuracy: 0.8, falsePositiveRate: 0.05 };
+        assertEqual(machineTime(null).seconds, 28, 'No AMD: dial plus the greeting');
+        assertEqual(machineTime(amd, 0).seconds, 28, 'AMD turned off behaves the same');
+        assertEqual(machineTime(amd, 0).missed, 0, 'Nothing screened, nothing missed');
+        assertEqual(machineTime(amd, 0.5).seconds, 8, 'AMD drops the machine');
+    });
+
+    console.log('\n📦 Testing Preview Dialing...\n');
+
+    await test('Preview adds review time and lifts conversion on high-intent leads', () => {
+        assertEqual(Formulas.calculatePreviewMultiplier(2, 0.5), 1.5);
+        assertEqual(Formulas.calculatePreviewMultiplier(0.6, 0.5), 1, 'No lift below average intent');
+        const boosted = Formulas.calculateConversionProbability({ baseConversionProb: 0.1, morale: 0.5, previewMultiplier: 1.5 });
+        assertInRange(boosted, 0.15 - 1e-9, 0.15 + 1e-9);
+
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        dialer.preview = { reviewSeconds: 15, conversionBoost: 0.5 };
+        const [agent] = state.agents;
+        engine.rng.chance = () => false;
+        engine.processDial(agent, lead, dialer);
+        assertEqual(agent.stateTimeRemaining, 23, 'Review plus dial');
+    });
+
+    await test('Preview agents skip weak leads back to the pool and pull known DNC numbers', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        dialer.preview = { reviewSeconds: 15, skipBelowIntent: 0.5, skipCooldownMinutes: 60 };
+        state.gameTime.hour = 12;
+        const [agent] = state.agents;
+        lead.intentMultiplier = 0.4;
+
+        assertTrue(engine.skipInPreview(agent, lead, dialer));
+        assertEqual(agent.stateTimeRemaining, 15, 'Skipping still takes the review');
+        assertEqual(lead.dialAttempts, 0);
+        assertEqual(state.dailyStats.previewSkips, 1);
+        assertEqual(state.leadPool.getNextLead(12), null, 'Held out while cooling down');
+        state.gameTime.totalMinutes += 60;
+        assertEqual(state.leadPool.getNextLead(12), lead, 'Back in the pool');
+
+        lead.intentMultiplier = 1;
+        assertTrue(!engine.skipInPreview(agent, lead, dialer));
+        state.dnc.addOptOut(lead.phone);
+        assertTrue(engine.skipInPreview(agent, lead, dialer));
+        assertEqual(lead.status, 'dnc');
+        assertEqual(state.dailyStats.dncViolations, 0);
+    });
+
+    console.log('\n📦 Testing Trunk Capacity...\n');
+
+    await test('Dials wait for a free trunk channel and usage shows the floor is channel-bound', () => {
+        const { state, engine, dialer } = setupCallbackEngine();
+        dialer.dialsPerMinutePerAgent = 60;
+        state.leadPool.generateLeads('standard_leads', 5, () => 0.5);
+        state.isPaused = false;
+        state.gameTime.hour = 12;
+        engine.rng.chance = () => false;
+
+        assertEqual(state.setTrunkChannels(0), false);
+        assertTrue(state.setTrunkChannels(1));
+        engine.tick();
+        assertEqual(state.dailyStats.dials, 1, 'Two idle agents, one channel');
+        let trunk = engine.getTrunkMetrics();
+        assertEqual(trunk.inUse, 1);
+        assertEqual(trunk.utilization, 1);
+        assertEqual(trunk.constraint, 'channels');
+
+        state.setTrunkChannels(4);
+        for (const agent of state.agents) agent.state = 'idle';
+        engine.tick();
+        assertEqual(state.dailyStats.dials, 3, 'Both agents dial');
+        trunk = engine.getTrunkMetrics();
+        assertEqual(trunk.channelBoundShare, 0.5);
+        assertEqual(trunk.utilization, 3 / 5);
+    });
+
+    await test('Preview reviews wait for a channel and old saves load uncapped', () => {
+        const { state, engine, dialer } = setupCallbackEngine();
+        dialer.type = 'preview';
+        dialer.preview = { reviewSeconds: 15, skipBelowIntent: 2, skipCooldownMinutes: 60 };
+        state.leadPool.generateLeads('standard_leads', 5, () => 0.5);
+        state.isPaused = false;
+        state.gameTime.hour = 12;
+        state.setTrunkChannels(1);
+
+        engine.tick();
+        assertEqual(state.dailyStats.previewSkips, 1, 'Only one agent can review');
+        assertEqual(engine.getTrunkMetrics().inUse, 1);
+
+        const saved = state.toJSON();
+        delete saved.trunkChannels;
+        const restored = new GameState();
+        restored.loadFromJSON(saved, { defaults: { telephony: { startingChannels: 4 } } });
+        assertEqual(restored.trunkChannels, null);
+    });
+
+    await test('Trunk channels are rented daily and talk time is billed per minute', () => {
+        const { state, engine, lead, dialer } = setupCallbackEngine();
+        engine.rng.chance = () => false;
+        engine.processAnswer(state.agents[0], lead, dialer);
+        assertEqual(state.dailyStats.carrierMinutes, Math.ceil(state.agents[0].stateTimeRemaining / 60));
+
+        const costs = new OperatingCosts(state, { telephony: { channelCostPerDay: 3, carrierRatePerMinute: 0.5 } });
+        assertEqual(costs.getDailyCostItems().some(i => i.category === 'trunk_channels'), false, 'Uncapped trunk costs nothing');
+        state.setTrunkChannels(5);
+        state.dailyStats.carrierMinutes = 100;
+        const items = costs.getDailyCostItems();
+        assertEqual(items.find(i => i.category === 'trunk_channels').amount, 15);
+        assertEqual(items.find(i => i.category === 'carrier_minutes').amount, 50);
+    });
+
+    console.log('\n📦 Testing Lead CSV...\n');
+
+    const { importLeadsFromCsv, exportLeadsToCsv } = await import('../src/persistence/LeadCsv.js');
+
+    await test('CSV import maps columns to lead fields', () => {
+        const pool = new LeadPool();
+        pool.addSource(new LeadSource({ id: 'premium_leads', name: 'Premium', unlockCost: 1500 }));
+        const csv = [
+            'Source,Answer_Probability,Conversion_Probability,Intent,Compliance_Risk,Preferred_Hours,Time_Zone',
+            'premium_leads,0.4,0.2,1.5,0.05,"10;17-19",Pacific',
+            'premium_leads,,,,,,'
+        ].join('\r\n');
+
+        const { leads, errors } = importLeadsFromCsv(pool, csv, () => 0.5);
+        assertEqual(errors.length, 0);
+        assertEqual(leads.length, 2, 'Imports work for locked sources too');
+        assertEqual(leads[0].baseAnswerProbability, 0.4);
+        assertEqual(leads[0].baseConversionProbability, 0.2);
+        assertEqual(leads[0].intentMultiplier, 1.5);
+        assertEqual(leads[0].preferredHours.join(), '10,17,18,19');
+        assertEqual(leads[0].timeZone, 'pacific');
+        assertTrue(TIME_ZONES.pacific.areaCodes.includes(leads[0].phone.slice(0, 3)));
+        assertEqual(pool.getStats().total, 2);
+    });
+
+    await test('CSV import reports per-row errors and skips bad rows', () => {
+        const pool = new LeadPool();
+        pool.addSource(new LeadSource({ id: 'standard_leads', name: 'Standard' }));
+        const csv = [
+            'source,answer_probability,preferred_hours,time_zone',
+            'standard_leads,1.5,10,eastern',
+            'mystery,0.2,25,mars',
+            'standard_leads,0.2,9-11,central'
+        ].join('\n');
+
+        const { leads, errors } = importLeadsFromCsv(pool, csv, () => 0.5);
+        assertEqual(leads.length, 1);
+        assertEqual(errors.length, 4);
+        assertEqual(errors[0].row, 2);
+        assertEqual(errors[0].column, 'answer_probability');
+        assertEqual(errors.filter(e => e.row === 3).map(e => e.column).join(), 'source,preferred_hours,time_zone');
+        assertEqual(importLeadsFromCsv(pool, 'intent\n1.0').errors[0].message, 'Missing required column');
+    });
+
+    await test('CSV export includes status, attempts and outcome', () => {
+        const { state, engine, lead, dialer } = setupDispositionEngine({ unansweredWeights: { voicemail: 1 } });
+        engine.processDial(state.agents[0], lead, dialer);
+
+        const [header, row] = exportLeadsToCsv(state.leadPool).trim().split('\n');
+        const values = Object.fromEntries(header.split(',').map((column, i) => [column, row.split(',')[i]]));
+        assertEqual(values.id, lead.id);
+        assertEqual(values.status, 'fresh');
+        assertEqual(values.attempts, '1');
+        assertEqual(values.outcome, 'voicemail');
+    });
+
+    console.log('\n📦 Testing UI Markup...\n');
+
+    await test('Every panel a UI renderer fills has its container in index.html', async () => {
+        const { readFileSync } = await import('node:fs');
+        const read = path => readFileSync(new URL(path, import.meta.url), 'utf8');
+        const app = read('../ui/app.js');
+        const html = read('../index.html');
+
+        // Renderers that bail out when their container is missing, plus the lead list controls
+        const ids = [
+            ...Array.from(
+                app.matchAll(/render\w+\(\) \{\s*(?:const \w+ = [^;]+;\s*)?const container = document\.getElementById\('([\w-]+)'\);\s*if \(!container\) return;/g),
+                match => match[1]
+            ),
+            'btn-export-leads',
+            'leads-csv-input'
+        ];
+        assertTrue(ids.includes('financial-report') && ids.includes('lead-stats'), 'Renderers found');
+
+        const missing = ids.filter(id => !html.includes(`id="${id}"`));
+        assertEqual(missing.join(', '), '', 'Missing containers:');
+    });
+
     // ====================
     // Results
     // ====================
@@ -3,6 +3,8 @@
  */
 
 import { Game } from '../src/Game.js';
+import { LEDGER_CATEGORIES } from '../src/economy/Ledger.js';
+import { TIME_ZONES } from '../src/models/Lead.js';
 
 // Tutorial Steps Configuration
 const TUTORIAL_STEPS = [
@@ -72,6 +74,16 @@ const TUTORIAL_STEPS = [
     }
 ];
 
+// Display names for agent skills
+const SKILL_LABELS = {
+    skillTalktrack: 'Talk Track',
+    speedWrapup: 'Wrap-up Speed',
+    complianceDiscipline: 'Compliance',
+    resilience: 'Resilience',
+    charisma: 'Charisma',
+    consistency: 'Consistency'
+};
+
 class GameUI {
     constructor() {
         this.game = null;
@@ -179,6 +191,7 @@ class GameUI {
         this.bindEvents();
         this.setupCallbacks();
         this.render();
+        this.renderDecisionModal();
         this.startRenderLoop();
 
         this.addLog('info', loadSave ? 'Welcome back, Manager!' : 'Welcome to Call Center Tycoon!', '🎮');
@@ -206,6 +219,14 @@ class GameUI {
             });
         });
 
+        // Lead lists
+        document.getElementById('btn-export-leads')?.addEventListener('click', () => this.exportLeadsCsv());
+        document.getElementById('leads-csv-input')?.addEventListener('change', (e) => {
+            const [file] = e.currentTarget.files;
+            if (file) this.importLeadsCsv(file);
+            e.currentTarget.value = '';
+        });
+
         // Tutorial controls
         document.getElementById('tutorial-next')?.addEventListener('click', () => this.nextTutorialStep());
         document.getElementById('tutorial-skip')?.addEventListener('click', () => this.endTutorial());
@@ -262,6 +283,75 @@ class GameUI {
             this.showNotification('success', 'Conversion!', `${agent.name} earned $${revenue}`);
         });
 
+        this.game.engine.on('onLevelUp', ({ agent, skill, newLevel }) => {
+            const label = SKILL_LABELS[skill] || skill;
+            this.addLog('info', `${agent.name} leveled up ${label}`, `${(newLevel * 100).toFixed(0)}%`);
+            this.showNotification('success', 'Level Up!', `${agent.name}'s ${label} is now ${(newLevel * 100).toFixed(0)}%`);
+        });
+
+        this.game.engine.on('onViolation', ({ type, phone, list, localHour, fine, rate, cap, action, downgradedTo }) => {
+            if (type === 'abandonment') {
+                const pct = (rate * 100).toFixed(1) + '%';
+                const capPct = (cap * 100).toFixed(0) + '%';
+                if (action === 'warning') {
+                    this.addLog('complaint', `30-day abandonment rate ${pct} is over the ${capPct} cap`, 'warning');
+                    this.showNotification('warning', 'Abandonment Warning', `Rolling abandonment rate is ${pct}. Keep it over ${capPct} and fines follow.`);
+                } else if (action === 'fine') {
+                    this.addLog('complaint', `Abandonment rate ${pct} over the cap`, `-$${this.formatMoney(fine)}`);
+                    this.showNotification('warning', 'Abandonment Fine', `Fined $${this.formatMoney(fine)} for a ${pct} abandonment rate`);
+                } else {
+                    const name = this.game.state.dialerManager.dialers.get(downgradedTo)?.name || 'an unpaced dialer';
+                    this.addLog('complaint', `Forced down to ${name} at ${pct} abandonment`, `-$${this.formatMoney(fine)}`);
+                    this.showNotification('warning', 'Dialer Downgraded', `Regulators forced the floor onto ${name} until abandonment is back under ${capPct}`);
+                    this.renderDialers();
+                }
+                return;
+            }
+            if (type === 'calling_hours') {
+                this.addLog('complaint', `Dialed ${phone} at ${localHour}:00 their time`, `-$${this.formatMoney(fine)}`);
+                this.showNotification('warning', 'Calling Hours Violation', `Fined $${this.formatMoney(fine)} for calling outside 8am-9pm local time`);
+                return;
+            }
+            const listName = list === 'national' ? 'national DNC list' : 'internal DNC list';
+            this.addLog('complaint', `Dialed ${phone} on the ${listName}`, `-$${this.formatMoney(fine)}`);
+            this.showNotification('warning', 'DNC Violation', `Fined $${this.formatMoney(fine)} for dialing a Do-Not-Call number`);
+        });
+
+        this.game.engine.on('onEvent', ({ type, event, decision }) => {
+            if (type === 'started') {
+                const level = event.category === 'negative' ? 'warning' : 'info';
+                this.addLog('event', `${event.name} started`, `${event.expiresAt - event.startedAt}m`);
+                this.showNotification(level, event.name, event.narrative);
+            } else if (type === 'decision') {
+                this.renderDecisionModal();
+            } else if (type === 'decision_defaulted') {
+                this.addLog('event', `${decision.name}: no decision made`, event?.choiceText ?? 'nothing affordable');
+                this.renderDecisionModal();
+            } else {
+                this.addLog('event', `${event.name} has ended`);
+            }
+        });
+
+        this.game.engine.on('onDayEnd', (results) => {
+            const operatingTotal = results.operatingCosts.reduce((sum, item) => sum + item.amount, 0);
+            this.addLog('info', `Day ${this.game.state.gameTime.day - 1} complete!`, '📅');
+            if (operatingTotal > 0) {
+                this.addLog('info', 'Payroll & licenses charged', `-$${this.formatMoney(operatingTotal)}`);
+            }
+            const d = results.dispositions;
+            if (d) {
+                this.addLog('info', `Outcomes: ${d.sale} sales, ${d.not_interested} not interested, ` +
+                    `${d.callback_requested} callbacks, ${d.voicemail} voicemails, ${d.dnc_request} DNC`, '📋');
+            }
+            this.showNotification(
+                results.profit >= 0 ? 'success' : 'warning',
+                'End of Day Report',
+                `Revenue: $${this.formatMoney(results.revenue)} | Costs: $${this.formatMoney(results.costs)} | ` +
+                `Invested: $${this.formatMoney(results.capex)} | Profit: $${this.formatMoney(results.profit)}`
+            );
+            this.renderFinancials();
+        });
+
         this.game.engine.on('onMinute', () => {
             this.updateMetrics();
             this.updateTime();
@@ -304,7 +394,7 @@ class GameUI {
         const freeSource = this.game.state.leadPool.sources.get('standard_leads');
         if (freeSource) {
             freeSource.unlocked = true;
-            this.game.state.leadPool.generateLeads('standard_leads', 25, () => this.game.engine.rng.random());
+            this.game.state.leadPool.generateLeads('standard_leads', 25, () => this.game.engine.rng.random(), { onNationalDnc: false });
             this.freeLeadsCooldown = 300; // 5 minute cooldown (in game ticks)
             this.addLog('info', 'Claimed 25 emergency leads!', '🆘');
             this.showNotification('success', 'Emergency Leads', 'Added 25 free leads to your pool');
@@ -312,6 +402,59 @@ class GameUI {
         }
     }
 
+    // ==================== EVENT DECISIONS ====================
+
+    renderDecisionModal() {
+        let overlay = document.getElementById('decision-overlay');
+        const decision = this.game.getPendingDecisions()[0];
+
+        if (!decision) {
+            overlay?.classList.remove('active');
+            return;
+        }
+
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'decision-overlay';
+            overlay.className = 'decision-overlay';
+            document.body.appendChild(overlay);
+        }
+
+        const minutesLeft = decision.deadline - this.game.state.gameTime.totalMinutes;
+
+        overlay.innerHTML = `
+            <div class="decision-card">
+                <div class="decision-title">${decision.name}</div>
+                <div class="decision-text">${decision.narrative}</div>
+                <div class="decision-choices">
+                    ${decision.choices.map(choice => `
+                        <button class="decision-choice ${choice.index === decision.defaultChoice ? 'default' : ''}"
+                                ${choice.cost > this.game.state.cash ? 'disabled' : ''}
+                                onclick="window.gameUI.chooseDecision('${decision.id}', ${choice.index})">
+                            <span>${choice.text}</span>
+                            ${choice.cost > 0 ? `<span class="decision-cost">$${choice.cost.toLocaleString()}</span>` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="decision-footer">Default applies in ${minutesLeft} game minutes</div>
+            </div>
+        `;
+        overlay.classList.add('active');
+    }
+
+    chooseDecision(decisionId, choiceIndex) {
+        const decision = this.game.getPendingDecisions().find(d => d.id === decisionId);
+        if (!decision) return;
+
+        if (this.game.chooseDecision(decisionId, choiceIndex)) {
+            this.addLog('event', `${decision.name}: ${decision.choices[choiceIndex].text}`);
+            this.renderDecisionModal();
+            this.render();
+        } else {
+            this.showNotification('warning', 'Cannot Choose', 'Not enough cash for that option');
+        }
+    }
+
     // ==================== TUTORIAL ====================
 
     startTutorial() {
@@ -465,13 +608,7 @@ class GameUI {
     simulateDay() {
         if (!confirm('Simulate the rest of the day? This will fast-forward to end of shift.')) return;
 
-        const results = this.game.simulateDay();
-        this.addLog('info', `Day ${this.game.state.gameTime.day - 1} complete!`, '📅');
-        this.showNotification(
-            results.profit >= 0 ? 'success' : 'warning',
-            'End of Day Report',
-            `Revenue: $${results.revenue} | Costs: $${results.costs} | Profit: $${results.profit}`
-        );
+        this.game.simulateDay();
         this.render();
     }
 
@@ -519,9 +656,16 @@ class GameUI {
         this.renderMetrics();
         this.renderTime();
         this.renderDialers();
+        this.renderShifts();
+        this.renderRouting();
+        this.renderCallerIds();
+        this.renderTrunk();
+        this.renderLeadSources();
         this.renderUpgrades();
         this.renderActivityLog();
         this.renderLeadStats();
+        this.renderLeadMarket();
+        this.renderFinancials();
         this.updateLiveStats();
     }
 
@@ -546,6 +690,7 @@ class GameUI {
 
         container.innerHTML = this.game.state.agents.map(agent => {
             const initials = agent.name.split(' ').map(n => n[0]).join('');
+            const stats = this.game.state.getEffectiveStats(agent);
 
             return `
                 <div class="agent-card state-${agent.state} ${agent.id === this.selectedAgentId ? 'selected' : ''}" 
@@ -559,8 +704,8 @@ class GameUI {
                         </div>
                     </div>
                     <div class="agent-metrics">
-                        <span>🎯 ${(agent.skillTalktrack * 100).toFixed(0)}%</span>
-                        <span>⚡ ${(agent.speedWrapup * 100).toFixed(0)}%</span>
+                        <span>🎯 ${(stats.skillTalktrack * 100).toFixed(0)}%</span>
+                        <span>⚡ ${(stats.speedWrapup * 100).toFixed(0)}%</span>
                         <span>📞 ${agent.dailyStats.contacts}</span>
                         <span>💰 ${agent.dailyStats.conversions}</span>
                     </div>
@@ -577,9 +722,18 @@ class GameUI {
         this.updateMetricCard('conversions', metrics.conversions);
         this.updateMetricCard('contact-rate', metrics.contactRate);
         this.updateMetricCard('conversion-rate', metrics.conversionRate);
+        this.updateMetricCard('callback-adherence', metrics.callbackAdherence);
         this.updateMetricCard('revenue', '$' + this.formatMoney(metrics.revenue));
         this.updateMetricCard('costs', '$' + this.formatMoney(metrics.costs));
+        this.updateMetricCard('capex', '$' + this.formatMoney(metrics.capex));
         this.updateMetricCard('profit', '$' + this.formatMoney(metrics.profit), metrics.profit >= 0);
+
+        // Unlocked by the Analytics Dashboard upgrade
+        if (metrics.advanced) {
+            this.updateMetricCard('revenue-per-dial', '$' + metrics.advanced.revenuePerDial.toFixed(2));
+            this.updateMetricCard('abandon-rate', (metrics.advanced.abandonRate * 100).toFixed(1) + '%');
+            this.updateMetricCard('complaint-rate', (metrics.advanced.complaintRate * 100).toFixed(1) + '%');
+        }
     }
 
     updateMetricCard(id, value, isPositive = true) {
@@ -629,10 +783,12 @@ class GameUI {
 
         const dialers = this.game.getDialers();
         const activeId = this.game.state.dialerManager.activeDialerId;
+        const suspended = this.game.state.abandonment.pacedDialersSuspended;
 
         const dialerIcons = {
             manual: '☎️',
             power: '📱',
+            preview: '👁️',
             progressive: '📲',
             predictive: '🔮',
             ai_assisted: '🤖'
@@ -644,14 +800,157 @@ class GameUI {
                 <div class="dialer-icon">${dialerIcons[dialer.id] || '📞'}</div>
                 <div class="dialer-info">
                     <h4>${dialer.unlocked ? dialer.name : '🔒 ' + dialer.name}</h4>
-                    <p>${dialer.unlocked ? `$${dialer.costPerAgentPerDay}/agent/day` : `Unlock: $${dialer.unlockCost.toLocaleString()}`}</p>
+                    <p>${dialer.unlocked ? `$${dialer.costPerAgentPerDay}/agent/day` : `Unlock: $${dialer.unlockCost.toLocaleString()}`}${dialer.isPaced() ? ` • paced to ${Math.round(dialer.agentOccupancyTarget * 100)}% occupancy` : ''}${dialer.isPreview() ? ` • ${dialer.preview.reviewSeconds}s review per lead` : ''}</p>
+                    ${dialer.unlocked && dialer.hasAmd() ? this.renderAmdControls(dialer) : ''}
                 </div>
                 <div class="dialer-rate">
                     <div class="rate">${dialer.dialsPerMinutePerAgent}<span>/min</span></div>
-                    <div class="status">${dialer.unlocked ? (dialer.id === activeId ? '✓ Active' : 'Available') : 'Locked'}</div>
+                    <div class="status">${!dialer.unlocked ? 'Locked' : dialer.id === activeId ? '✓ Active' : suspended && dialer.isPaced() ? 'Suspended' : 'Available'}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderAmdControls(dialer) {
+        const { detectRate, falsePositiveRate } = dialer.getAmdRates();
+        return `
+            <p>AMD ${Math.round(dialer.amdAggressiveness * 100)}%: catches ${Math.round(detectRate * 100)}% of machines, hangs up on ${(falsePositiveRate * 100).toFixed(1)}% of people
+                <button class="btn btn-sm" onclick="event.stopPropagation(); window.gameUI.adjustAmd('${dialer.id}', -0.1)">−</button>
+                <button class="btn btn-sm" onclick="event.stopPropagation(); window.gameUI.adjustAmd('${dialer.id}', 0.1)">+</button>
+            </p>
+        `;
+    }
+
+    renderShifts() {
+        const container = document.getElementById('shift-list');
+        if (!container) return;
+
+        const { startHour, endHour } = this.game.state.shift;
+
+        container.innerHTML = Object.entries(this.game.getShifts()).map(([id, shift]) => {
+            const active = shift.startHour === startHour && shift.endHour === endHour;
+            return `
+                <button class="btn btn-sm ${active ? 'active' : ''}" onclick="window.gameUI.setShift('${id}')">
+                    ${shift.name} • ${shift.startHour}:00-${shift.endHour}:00
+                </button>
+            `;
+        }).join('');
+    }
+
+    renderRouting() {
+        const container = document.getElementById('routing-list');
+        if (!container) return;
+
+        const labels = {
+            lead_score: 'Best Score',
+            fifo: 'Oldest First',
+            newest: 'Newest First',
+            learned_ev: 'Learned EV',
+            round_robin: 'Round-Robin'
+        };
+
+        const buttons = this.game.getRoutingStrategies().map(strategy => `
+            <button class="btn btn-sm ${strategy.active ? 'active' : ''}" ${strategy.available ? '' : 'disabled title="Needs CRM Integration"'}
+                onclick="window.gameUI.setRoutingStrategy('${strategy.id}')">
+                ${labels[strategy.id] || strategy.id}
+            </button>
+        `).join('');
+
+        const learned = Object.entries(this.game.getLeadScoringSummary()).map(([sourceId, totals]) => `
+            <div class="market-stock">
+                ${this.game.state.leadPool.sources.get(sourceId)?.name || sourceId}:
+                ${(totals.answerRate * 100).toFixed(1)}% answer • ${(totals.conversionRate * 100).toFixed(1)}% close (${totals.dials} dials)
+            </div>
+        `).join('');
+
+        container.innerHTML = buttons + learned;
+    }
+
+    renderCallerIds() {
+        const container = document.getElementById('caller-id-list');
+        if (!container) return;
+
+        const numbers = this.game.getCallerIds();
+        const setupCost = this.game.configs.defaults.callerId?.numberSetupCost ?? 0;
+
+        const rows = numbers.map(number => `
+            <div class="market-item">
+                <div class="market-header">
+                    <span class="market-name">${number.spamTagged ? '🚩 ' : ''}${number.phone}</span>
+                    <span class="market-price">Rep ${Math.round(number.reputation)}</span>
                 </div>
+                <div class="market-stock">${TIME_ZONES[number.timeZone]?.name || number.timeZone} • ${number.dialsToday} dials today</div>
+                ${numbers.length > 1 ? `
+                    <div class="market-actions">
+                        <button class="btn btn-sm" onclick="window.gameUI.retireCallerId('${number.id}')">Retire</button>
+                    </div>
+                ` : ''}
             </div>
         `).join('');
+
+        const buttons = Object.entries(TIME_ZONES).map(([id, zone]) => `
+            <button class="btn btn-sm" onclick="window.gameUI.buyCallerId('${id}')">+ ${zone.name} ($${setupCost})</button>
+        `).join('');
+
+        container.innerHTML = rows + `<div class="market-actions">${buttons}</div>`;
+    }
+
+    renderTrunk() {
+        const container = document.getElementById('trunk-panel');
+        if (!container) return;
+
+        const { channels, inUse, utilization, channelBoundShare, constraint } = this.game.getMetrics().trunk;
+        const costPerDay = this.game.configs.defaults.telephony?.channelCostPerDay ?? 0;
+
+        container.innerHTML = `
+            <div class="market-item">
+                <div class="market-header">
+                    <span class="market-name">${channels} channels</span>
+                    <span class="market-price">$${costPerDay}/channel/day</span>
+                </div>
+                <div class="market-stock">${inUse} in use • ${(utilization * 100).toFixed(0)}% utilized today • ${constraint === 'channels' ? `🚧 Channel-bound (${(channelBoundShare * 100).toFixed(0)}% of ticks)` : 'Agent-bound'}</div>
+                <div class="market-actions">
+                    <button class="btn btn-sm" onclick="window.gameUI.buyTrunkChannels(1)">+1</button>
+                    <button class="btn btn-sm" onclick="window.gameUI.buyTrunkChannels(5)">+5</button>
+                    <button class="btn btn-sm" onclick="window.gameUI.releaseTrunkChannels(1)">−1</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderLeadSources() {
+        const container = document.getElementById('lead-source-list');
+        if (!container) return;
+
+        const leadPool = this.game.state.leadPool;
+
+        container.innerHTML = this.game.getLeadSources().map(source => {
+            const prereqsMet = source.unlocked || leadPool.canUnlockSource(source.id);
+            const missing = source.prerequisites
+                .filter(id => !leadPool.sources.get(id)?.unlocked)
+                .map(id => leadPool.sources.get(id)?.name || id);
+
+            let detail = `$${source.costPerLead.toFixed(2)}/lead • ${source.supplyPerDay}/day`;
+            if (!source.unlocked) {
+                detail = prereqsMet
+                    ? `Unlock: $${source.unlockCost.toLocaleString()}`
+                    : `Requires ${missing.join(', ')}`;
+            }
+
+            return `
+                <div class="dialer-item ${!source.unlocked ? 'locked' : ''}"
+                     onclick="window.gameUI.handleLeadSourceClick('${source.id}')">
+                    <div class="dialer-info">
+                        <h4>${source.unlocked ? source.name : '🔒 ' + source.name}</h4>
+                        <p>${detail}</p>
+                    </div>
+                    <div class="dialer-rate">
+                        <div class="rate">×${source.intentMultiplier}<span> intent</span></div>
+                        <div class="status">${source.unlocked ? 'Available' : 'Locked'}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
     // ==================== SMART UPGRADE PRIORITY ====================
@@ -895,7 +1194,8 @@ class GameUI {
             conversion: '💰',
             complaint: '⚠️',
             info: 'ℹ️',
-            hire: '👥'
+            hire: '👥',
+            event: '📰'
         };
 
         container.innerHTML = this.activityLog.map((entry, index) => `
@@ -934,6 +1234,98 @@ class GameUI {
         `;
     }
 
+    renderLeadMarket() {
+        const container = document.getElementById('lead-market');
+        if (!container) return;
+
+        const orderSizes = [25, 100];
+        const dnc = this.game.state.dnc;
+        const dncListCost = this.game.configs.defaults.compliance?.nationalDncListCost ?? 0;
+
+        const dncItem = `
+            <div class="market-item">
+                <div class="market-header">
+                    <span class="market-name">National DNC List</span>
+                    <span class="market-price">${dnc.hasNationalList ? 'Owned' : `$${this.formatMoney(dncListCost)}`}</span>
+                </div>
+                <div class="market-stock">${dnc.optOuts.size} internal opt-outs • ${this.game.getViolations('dnc').length} violations</div>
+                ${dnc.hasNationalList ? '' : `
+                    <div class="market-actions">
+                        <button class="btn btn-sm" onclick="window.gameUI.buyNationalDncList()">Buy list</button>
+                    </div>
+                `}
+            </div>
+        `;
+
+        container.innerHTML = dncItem + this.game.getLeadListings().map(listing => `
+            <div class="market-item">
+                <div class="market-header">
+                    <span class="market-name">${listing.name}</span>
+                    <span class="market-price">$${listing.costPerLead.toFixed(2)}/lead</span>
+                </div>
+                <div class="market-stock">${listing.inventory} in stock • ${listing.supplyPerDay}/day</div>
+                <div class="market-actions">
+                    ${orderSizes.map(qty => {
+                        const quote = this.game.quoteLeads(listing.sourceId, qty);
+                        return `
+                            <button class="btn btn-sm" ${quote.available ? '' : 'disabled'}
+                                    title="${quote.surgeMultiplier > 1 ? 'Surge pricing' : ''}"
+                                    onclick="window.gameUI.buyLeads('${listing.sourceId}', ${qty})">
+                                ${qty} • $${this.formatMoney(quote.total)}
+                            </button>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderFinancials() {
+        const container = document.getElementById('financial-report');
+        if (!container) return;
+
+        const today = this.game.getDailyPnL();
+        const lifetime = this.game.getLifetimePnL();
+        const cashFlow = this.game.getCashFlow();
+
+        const rows = (items) => Object.entries(items).map(([category, amount]) => `
+            <div class="finance-row">
+                <span>${LEDGER_CATEGORIES[category]?.label || category}</span>
+                <span>$${this.formatMoney(amount)}</span>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="finance-section">
+                <div class="finance-heading">Today</div>
+                ${rows(today.revenue)}
+                ${rows(today.operatingExpenses)}
+                <div class="finance-row total ${today.operatingProfit >= 0 ? 'positive' : 'negative'}">
+                    <span>Operating Profit</span>
+                    <span>$${this.formatMoney(today.operatingProfit)}</span>
+                </div>
+                <div class="finance-row">
+                    <span>Invested</span>
+                    <span>$${this.formatMoney(today.totalCapitalExpenditures)}</span>
+                </div>
+                <div class="finance-row">
+                    <span>Net Cash Flow</span>
+                    <span>$${this.formatMoney(cashFlow.netChange)}</span>
+                </div>
+            </div>
+            <div class="finance-section">
+                <div class="finance-heading">Lifetime (${lifetime.days} days)</div>
+                <div class="finance-row"><span>Revenue</span><span>$${this.formatMoney(lifetime.totalRevenue)}</span></div>
+                <div class="finance-row"><span>Operating Costs</span><span>$${this.formatMoney(lifetime.totalOperatingExpenses)}</span></div>
+                <div class="finance-row"><span>Invested</span><span>$${this.formatMoney(lifetime.totalCapitalExpenditures)}</span></div>
+                <div class="finance-row total ${lifetime.operatingProfit >= 0 ? 'positive' : 'negative'}">
+                    <span>Operating Profit</span>
+                    <span>$${this.formatMoney(lifetime.operatingProfit)}</span>
+                </div>
+            </div>
+        `;
+    }
+
     // ==================== HELPERS ====================
 
     formatMoney(amount) {
@@ -959,6 +1351,16 @@ class GameUI {
         this.renderAgents();
     }
 
+    adjustAmd(dialerId, delta) {
+        const dialer = this.game.state.dialerManager.dialers.get(dialerId);
+        if (!dialer) return;
+
+        const aggressiveness = Math.round((dialer.amdAggressiveness + delta) * 10) / 10;
+        if (this.game.setAmdAggressiveness(dialerId, aggressiveness)) {
+            this.renderDialers();
+        }
+    }
+
     handleDialerClick(dialerId) {
         const dialer = this.game.state.dialerManager.dialers.get(dialerId);
         if (!dialer) return;
@@ -977,10 +1379,27 @@ class GameUI {
             if (this.game.setDialer(dialerId)) {
                 this.addLog('info', `Switched to ${dialer.name}`, '📱');
                 this.renderDialers();
+            } else if (dialer.isPaced() && this.game.state.abandonment.pacedDialersSuspended) {
+                this.showNotification('warning', 'Paced dialing suspended', 'Bring the rolling abandonment rate back under the cap first');
             }
         }
     }
 
+    handleLeadSourceClick(sourceId) {
+        const source = this.game.state.leadPool.sources.get(sourceId);
+        if (!source || source.unlocked) return;
+
+        if (!this.game.state.leadPool.canUnlockSource(sourceId)) {
+            this.showNotification('warning', 'Locked', 'Unlock the prerequisite sources first');
+        } else if (this.game.state.cash < source.unlockCost) {
+            this.showNotification('warning', 'Not enough cash', `Need $${source.unlockCost.toLocaleString()}`);
+        } else if (this.game.unlockLeadSource(sourceId)) {
+            this.addLog('info', `Unlocked ${source.name}!`, '🔓');
+            this.showNotification('success', 'Lead Source Unlocked!', source.name);
+            this.render();
+        }
+    }
+
     purchaseUpgrade(upgradeId) {
         if (!this.game || !this.gameStarted) {
             console.warn('Game not initialized yet');
@@ -1005,6 +1424,110 @@ class GameUI {
         }
     }
 
+    buyLeads(sourceId, quantity) {
+        const result = this.game.buyLeads(sourceId, quantity);
+        const reasons = {
+            locked: 'That source is locked',
+            insufficient_inventory: 'Not enough leads in stock today',
+            insufficient_cash: 'Not enough cash',
+            invalid_quantity: 'Invalid order size'
+        };
+
+        if (result.success) {
+            this.addLog('info', `📋 Purchased ${quantity} leads`, `-$${this.formatMoney(result.quote.total)}`);
+            if (result.scrubbed.length > 0) {
+                this.addLog('info', `🧽 Scrubbed ${result.scrubbed.length} DNC numbers`);
+            }
+            this.render();
+        } else {
+            this.showNotification('warning', 'Cannot Buy Leads', reasons[result.quote.reason] || 'Order failed');
+        }
+    }
+
+    /**
+     * Import a lead list CSV file and log any rows that were rejected
+     * @param {File} file
+     */
+    async importLeadsCsv(file) {
+        const { leads, errors, scrubbed } = this.game.importLeadsCsv(await file.text());
+        this.addLog('info', `📥 Imported ${leads.length} leads from ${file.name}`);
+        if (scrubbed.length > 0) {
+            this.addLog('info', `🧽 Scrubbed ${scrubbed.length} DNC numbers`);
+        }
+
+        for (const { row, column, message } of errors.slice(0, 5)) {
+            this.addLog('complaint', `Row ${row}, ${column}: ${message}`);
+        }
+        if (errors.length > 0) {
+            this.showNotification('warning', 'Some Rows Skipped', `${errors.length} problems in ${file.name}`);
+        }
+        this.render();
+    }
+
+    exportLeadsCsv() {
+        const blob = new Blob([this.game.exportLeadsCsv()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `leads-day-${this.game.state.gameTime.day}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    setShift(shiftId) {
+        if (this.game.setShift(shiftId)) {
+            const shift = this.game.getShifts()[shiftId];
+            this.addLog('info', `🕘 Switched to ${shift.name}`, `${shift.startHour}:00-${shift.endHour}:00`);
+            this.render();
+        }
+    }
+
+    setRoutingStrategy(strategy) {
+        if (this.game.setRoutingStrategy(strategy)) {
+            this.addLog('info', '🔀 Changed lead routing', strategy.replace('_', ' '));
+            this.render();
+        } else {
+            this.showNotification('warning', 'Routing Locked', 'Learned EV routing needs CRM Integration');
+        }
+    }
+
+    buyCallerId(timeZone) {
+        const number = this.game.buyCallerId(timeZone);
+        if (number) {
+            this.addLog('info', `☎️ New caller ID ${number.phone}`, TIME_ZONES[timeZone]?.name || timeZone);
+            this.render();
+        } else {
+            this.showNotification('warning', 'Cannot Buy Number', 'Not enough cash');
+        }
+    }
+
+    retireCallerId(numberId) {
+        if (this.game.retireCallerId(numberId)) {
+            this.render();
+        }
+    }
+
+    buyTrunkChannels(count) {
+        if (this.game.buyTrunkChannels(count)) {
+            this.addLog('info', `📞 Added ${count} trunk channel${count === 1 ? '' : 's'}`, `${this.game.state.trunkChannels} total`);
+            this.renderTrunk();
+        }
+    }
+
+    releaseTrunkChannels(count) {
+        if (this.game.releaseTrunkChannels(count)) {
+            this.renderTrunk();
+        }
+    }
+
+    buyNationalDncList() {
+        if (this.game.buyNationalDncList()) {
+            this.addLog('info', '📵 Bought the national DNC list', 'Scrubbing now catches listed numbers');
+            this.render();
+        } else {
+            this.showNotification('warning', 'Cannot Buy List', 'Not enough cash');
+        }
+    }
+
     setUpgradeCategory(category) {
         this.upgradeCategory = category;
         document.querySelectorAll('.category-btn').forEach(btn => {